@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CACHE_VERSION, hashText, getCacheKey, loadCache } from '../cache.js';
+import { DEFAULT_CONFIG } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('cache.js', () => {
+  let tempDir;
+  let cachePath;
+  let featurePath;
+  let outPath;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.mkdtempSync(path.join(__dirname, 'temp-'));
+    cachePath = path.join(tempDir, '.feature2md-cache.json');
+    featurePath = path.join(tempDir, 'specs', 'login.feature');
+    outPath = path.join(tempDir, 'docs', 'login.generated.md');
+    fs.mkdirSync(path.dirname(featurePath));
+    fs.mkdirSync(path.dirname(outPath));
+    fs.writeFileSync(featurePath, 'Feature: Login');
+    fs.writeFileSync(outPath, '# Feature: Login\n');
+  });
+
+  afterEach(() => {
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  const result = { featureName: 'Login', scenarios: [], warnings: [] };
+
+  describe('getCacheKey', () => {
+    test('should change with the feature text, paths and configuration', () => {
+      const options = { featureFile: 'specs/login.feature', outPath: 'docs/login.generated.md', config: DEFAULT_CONFIG };
+      const key = getCacheKey('Feature: Login', options);
+
+      expect(getCacheKey('Feature: Login', { ...options })).toBe(key);
+      expect(getCacheKey('Feature: Log in', options)).not.toBe(key);
+      expect(getCacheKey('Feature: Login', { ...options, outPath: 'login.md' })).not.toBe(key);
+      expect(getCacheKey('Feature: Login', { ...options, config: { ...DEFAULT_CONFIG, fixTables: false } })).not.toBe(key);
+    });
+  });
+
+  describe('loadCache', () => {
+    test('should find an entry again after saving, with the generated Markdown', () => {
+      const cache = loadCache(cachePath);
+      cache.store(featurePath, { key: 'k1', outPath, markdown: '# Feature: Login\n', result });
+      cache.save();
+
+      const saved = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      expect(saved).toEqual({
+        version: CACHE_VERSION,
+        entries: {
+          'specs/login.feature': { key: 'k1', outPath: 'docs/login.generated.md', outputHash: hashText('# Feature: Login\n'), result },
+        },
+      });
+      expect(loadCache(cachePath).lookup(featurePath, 'k1')).toEqual({ ...saved.entries['specs/login.feature'], outPath, markdown: '# Feature: Login\n' });
+      expect(loadCache(cachePath).lookup(featurePath, 'k2')).toBeUndefined();
+    });
+
+    test('should not use an entry when the generated file was changed or removed', () => {
+      const cache = loadCache(cachePath);
+      cache.store(featurePath, { key: 'k1', outPath, markdown: '# Feature: Login\n', result });
+
+      fs.writeFileSync(outPath, '# Edited by hand\n');
+      expect(cache.lookup(featurePath, 'k1')).toBeUndefined();
+
+      fs.unlinkSync(outPath);
+      expect(cache.lookup(featurePath, 'k1')).toBeUndefined();
+    });
+
+    test('should remember skipped feature files', () => {
+      const cache = loadCache(cachePath);
+      cache.store(featurePath, { key: 'k1', outPath: null, markdown: null, result });
+
+      expect(cache.lookup(featurePath, 'k1')).toEqual({ key: 'k1', outPath: null, outputHash: null, result, markdown: null });
+    });
+
+    test('should leave out feature files that no longer exist and not save with dryRun', () => {
+      const cache = loadCache(cachePath);
+      cache.store(featurePath, { key: 'k1', outPath, markdown: '# Feature: Login\n', result });
+      cache.save(true);
+      expect(fs.existsSync(cachePath)).toBe(false);
+
+      fs.unlinkSync(featurePath);
+      cache.save();
+
+      expect(JSON.parse(fs.readFileSync(cachePath, 'utf8')).entries).toEqual({});
+    });
+
+    test('should start empty with a cache file that cannot be read', () => {
+      fs.writeFileSync(cachePath, '{ broken');
+      const originalWarn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+
+      try {
+        expect(loadCache(cachePath).lookup(featurePath, 'k1')).toBeUndefined();
+      } finally {
+        console.warn = originalWarn;
+      }
+      expect(warnings[0]).toMatch(/^Ignoring the cache .*\.feature2md-cache\.json: /);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSourceMarker, getMarkedSource, findOrphanedPages } from '../clean.js';
+import { GENERATED_MARKER } from '../index-pages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('clean.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.mkdtempSync(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(() => {
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('getSourceMarker and getMarkedSource', () => {
+    test('should name the source in the marker and read it back', () => {
+      const marker = getSourceMarker(path.join('..', 'specs', 'my login.feature'));
+
+      expect(marker).toBe('<!-- Generated by feature2markdown from ../specs/my login.feature. Changes are overwritten. -->');
+      expect(getMarkedSource(`${marker}\n# Feature: Login\n`)).toBe('../specs/my login.feature');
+    });
+
+    test('should find no source without the marker on the first line', () => {
+      expect(getMarkedSource('# Feature: Login\n')).toBeNull();
+      expect(getMarkedSource(`\n${getSourceMarker('login.feature')}\n`)).toBeNull();
+    });
+
+    test('should find no source in the marker of an index page', () => {
+      expect(getMarkedSource(`${GENERATED_MARKER}\n# Features\n`)).toBeNull();
+    });
+  });
+
+  describe('findOrphanedPages', () => {
+    test('should only find the generated pages whose source no longer exists', () => {
+      const specs = path.join(tempDir, 'specs');
+      const docs = path.join(tempDir, 'docs');
+      fs.mkdirSync(specs);
+      fs.mkdirSync(path.join(docs, 'payments'), { recursive: true });
+      fs.writeFileSync(path.join(specs, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(docs, 'login.generated.md'), `${getSourceMarker('../specs/login.feature')}\n# Login\n`);
+      fs.writeFileSync(path.join(docs, 'payments', 'refund.generated.md'), `${getSourceMarker('../../specs/refund.feature')}\n# Refund\n`);
+      fs.writeFileSync(path.join(docs, 'notes.generated.md'), '# Written by hand\n');
+      fs.writeFileSync(path.join(docs, 'payments', 'refund.md'), `${getSourceMarker('../../specs/refund.feature')}\n`);
+
+      expect(findOrphanedPages(docs)).toEqual([
+        { pagePath: path.join(docs, 'payments', 'refund.generated.md'), sourcePath: path.join(specs, 'refund.feature') },
+      ]);
+    });
+
+    test('should not take the index pages for orphans when they are named like a generated page', () => {
+      fs.writeFileSync(path.join(tempDir, 'index.md'), `${GENERATED_MARKER}\n# Features\n`);
+      fs.writeFileSync(path.join(tempDir, 'tags.md'), `${GENERATED_MARKER}\n# Tags\n`);
+
+      expect(findOrphanedPages(tempDir, { outputTemplate: '{dir}/{name}.md' })).toEqual([]);
+    });
+
+    test('should skip excluded directories', () => {
+      fs.mkdirSync(path.join(tempDir, 'node_modules'));
+      fs.writeFileSync(path.join(tempDir, 'node_modules', 'gone.generated.md'), `${getSourceMarker('gone.feature')}\n`);
+
+      expect(findOrphanedPages(tempDir)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CONFIG_FILE_NAME,
+  DEFAULT_CONFIG,
+  resolveConfig,
+  findConfig,
+  loadConfig
+} from '../config.js';
+import { featureToMarkdown } from '../feature2markdown.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('config.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.mkdtempSync(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(() => {
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('resolveConfig', () => {
+    test('should return the defaults without options', () => {
+      expect(resolveConfig()).toEqual(DEFAULT_CONFIG);
+    });
+
+    test('should merge nested options with the defaults', () => {
+      const config = resolveConfig({ badgeClasses: { feature: 'my-feature' }, stripComments: false });
+
+      expect(config.badgeClasses).toEqual({ ...DEFAULT_CONFIG.badgeClasses, feature: 'my-feature' });
+      expect(config.stripComments).toBe(false);
+      expect(config.fixTables).toBe(true);
+    });
+
+    test('should report unknown options with the valid ones', () => {
+      expect(() => resolveConfig({ outputSufix: '.md' }, 'my.json'))
+        .toThrow('Unknown option "outputSufix" in my.json. Valid options are: include, exclude, respectGitignore, tags, outputSuffix, outputTemplate, latestBuildBadge, badgeClasses, exampleBadges, stepResults, tagChips, stripComments, fixTables, parseErrorPlaceholder, emptyFeature, indexPages, indexFileName, indexTitle, tagIndex, tagIndexFileName, tagIndexTitle, nav, navFile, navDocsDir, cache, cacheFile, junit, lint');
+    });
+
+    test('should report unknown nested options', () => {
+      expect(() => resolveConfig({ badgeClasses: { colour: 'x' } }, 'my.json'))
+        .toThrow('Unknown option "badgeClasses.colour" in my.json');
+    });
+
+    test('should report values of the wrong type', () => {
+      expect(() => resolveConfig({ stripComments: 'yes' }, 'my.json'))
+        .toThrow('Invalid value for "stripComments" in my.json: expected a boolean, got "yes"');
+      expect(() => resolveConfig({ badgeClasses: 'bdd' }, 'my.json'))
+        .toThrow('Invalid configuration in my.json: "badgeClasses" must be an object');
+    });
+
+    test('should report values that are not allowed', () => {
+      expect(() => resolveConfig({ emptyFeature: 'ignore' }, 'my.json'))
+        .toThrow('Invalid value for "emptyFeature" in my.json: expected one of skip, stub, got "ignore"');
+    });
+
+    test('should report invalid regular expressions', () => {
+      expect(() => resolveConfig({ junit: { scenarioPattern: '(' } }, 'my.json'))
+        .toThrow('Invalid value for "junit.scenarioPattern" in my.json: Invalid regular expression');
+      expect(() => resolveConfig({ junit: { featureName: 'suite' } }, 'my.json'))
+        .toThrow('Invalid value for "junit.featureName" in my.json: expected one of classname, testsuite, got "suite"');
+    });
+
+    test('should require the output suffix to end with .md', () => {
+      expect(() => resolveConfig({ outputSuffix: '.html' })).toThrow('it must end with .md');
+    });
+
+    test('should validate the severities of the lint rules', () => {
+      expect(resolveConfig({ lint: { missingDescription: 'off' } }).lint)
+        .toEqual({ ...DEFAULT_CONFIG.lint, missingDescription: 'off' });
+      expect(() => resolveConfig({ lint: { emptyScenario: 'info' } }, 'my.json'))
+        .toThrow('Invalid value for "lint.emptyScenario" in my.json: expected one of error, warning, off, got "info"');
+    });
+
+    test('should validate the output template', () => {
+      expect(resolveConfig({ outputTemplate: '{dir}/{name}.md' }).outputTemplate).toBe('{dir}/{name}.md');
+      expect(() => resolveConfig({ outputTemplate: '{dir}/{file}.md' }, 'my.json'))
+        .toThrow('Invalid value for "outputTemplate" in my.json: unknown placeholder {file}, use {dir} and {name}');
+      expect(() => resolveConfig({ outputTemplate: '{dir}/page.md' })).toThrow('it must contain {name} and end with .md');
+      expect(() => resolveConfig({ outputTemplate: '../{name}.md' })).toThrow('it must be a path below the output directory');
+    });
+  });
+
+  describe('findConfig', () => {
+    test('should find a config file in a parent directory', () => {
+      const nested = path.join(tempDir, 'a', 'b');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(tempDir, CONFIG_FILE_NAME), JSON.stringify({ outputSuffix: '.md' }));
+
+      const found = findConfig(nested);
+
+      expect(found).toEqual({ options: { outputSuffix: '.md' }, source: path.join(tempDir, CONFIG_FILE_NAME) });
+    });
+
+    test('should use the feature2md key in package.json', () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ name: 'docs', feature2md: { fixTables: false } }));
+
+      const found = findConfig(tempDir);
+
+      expect(found.options).toEqual({ fixTables: false });
+      expect(found.source).toContain('package.json');
+    });
+
+    test('should prefer the config file over package.json in the same directory', () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ feature2md: { fixTables: false } }));
+      fs.writeFileSync(path.join(tempDir, CONFIG_FILE_NAME), JSON.stringify({ stripComments: false }));
+
+      expect(findConfig(tempDir).options).toEqual({ stripComments: false });
+    });
+
+    test('should skip a package.json without the feature2md key', () => {
+      const nested = path.join(tempDir, 'package');
+      fs.mkdirSync(nested);
+      fs.writeFileSync(path.join(nested, 'package.json'), JSON.stringify({ name: 'nested' }));
+      fs.writeFileSync(path.join(tempDir, CONFIG_FILE_NAME), JSON.stringify({ fixTables: false }));
+
+      expect(findConfig(nested).options).toEqual({ fixTables: false });
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('should load an explicit config file', () => {
+      const configPath = path.join(tempDir, 'custom.json');
+      fs.writeFileSync(configPath, JSON.stringify({ latestBuildBadge: '' }));
+
+      const { config, source } = loadConfig({ configPath });
+
+      expect(source).toBe(configPath);
+      expect(config.latestBuildBadge).toBe('');
+      expect(config.outputSuffix).toBe(DEFAULT_CONFIG.outputSuffix);
+    });
+
+    test('should report invalid JSON with the file name', () => {
+      const configPath = path.join(tempDir, CONFIG_FILE_NAME);
+      fs.writeFileSync(configPath, '{ invalid');
+
+      expect(() => loadConfig({ startDir: tempDir })).toThrow(`Cannot read ${configPath}`);
+    });
+
+    test('should report unknown keys with the file name', () => {
+      const configPath = path.join(tempDir, CONFIG_FILE_NAME);
+      fs.writeFileSync(configPath, JSON.stringify({ badge: true }));
+
+      expect(() => loadConfig({ startDir: tempDir })).toThrow(`Unknown option "badge" in ${configPath}`);
+    });
+  });
+
+  describe('featureToMarkdown with configuration', () => {
+    const featureContent = `Feature: Configured
+  Scenario: With a table
+    # A comment
+    Given the values
+      | a | b |`;
+
+    test('should use the configured badge classes and latest build badge', () => {
+      const { markdown } = featureToMarkdown(featureContent, {
+        latestBuildBadge: '<span class="latest"></span>',
+        badgeClasses: { feature: 'f', scenario: 's' },
+      });
+
+      expect(markdown.startsWith('<span class="latest"></span>\n')).toBe(true);
+      expect(markdown).toContain('<span class="f" data-feature="Configured" data-line="1"');
+      expect(markdown).toContain('<span class="s" data-feature="Configured" data-scenario="With a table" data-line="2"');
+    });
+
+    test('should leave out the latest build badge when it is empty', () => {
+      const { markdown } = featureToMarkdown(featureContent, { latestBuildBadge: '' });
+
+      expect(markdown.startsWith('# Feature:')).toBe(true);
+    });
+
+    test('should keep comments and table indentation when disabled', () => {
+      const { markdown } = featureToMarkdown(featureContent, { stripComments: false, fixTables: false });
+
+      expect(markdown).toContain('# A comment');
+      expect(markdown).toMatch(/^\s+\| a \| b \|/m);
+    });
+
+    test('should reject unknown options', () => {
+      expect(() => featureToMarkdown(featureContent, { colour: 'red' })).toThrow('Unknown option "colour"');
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { unifiedDiff } from '../diff.js';
+
+describe('diff.js', () => {
+  describe('unifiedDiff', () => {
+    const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+    const text = `${lines.join('\n')}\n`;
+
+    test('should return an empty string for the same texts', () => {
+      expect(unifiedDiff(text, text)).toBe('');
+    });
+
+    test('should show the changed lines with their context in hunks', () => {
+      const changed = text.replace('line 4\n', 'line four\n').replace('line 17\n', '');
+
+      expect(unifiedDiff(text, changed, { oldName: 'a.md', newName: 'a.md (generated)' })).toBe(`--- a.md
++++ a.md (generated)
+@@ -1,7 +1,7 @@
+ line 1
+ line 2
+ line 3
+-line 4
++line four
+ line 5
+ line 6
+ line 7
+@@ -14,7 +14,6 @@
+ line 14
+ line 15
+ line 16
+-line 17
+ line 18
+ line 19
+ line 20
+`);
+    });
+
+    test('should combine changes that are close together in one hunk', () => {
+      const changed = text.replace('line 4\n', 'line four\n').replace('line 9\n', 'line nine\n');
+
+      expect(unifiedDiff(text, changed).split('\n').filter(line => line.startsWith('@@'))).toEqual(['@@ -1,12 +1,12 @@']);
+    });
+
+    test('should diff against an empty file', () => {
+      expect(unifiedDiff('', 'a\nb\n', { oldName: '/dev/null', newName: 'new.md' })).toBe('--- /dev/null\n+++ new.md\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+      expect(unifiedDiff('a\n', '', { oldName: 'old.md', newName: '/dev/null' })).toBe('--- old.md\n+++ /dev/null\n@@ -1 +0,0 @@\n-a\n');
+    });
+
+    test('should report a difference in the newline at the end', () => {
+      expect(unifiedDiff('a', 'a\n')).toBe('--- a\n+++ b\n\\ Only the newline at the end of the file differs\n');
+    });
+  });
+});
@@ -4,11 +4,31 @@ import { fileURLToPath } from 'url';
 import { 
   findFeatureFiles, 
   getBadgeTag,
+  getRuleBadgeTag,
+  getExampleRows,
+  getExampleBadgeTag,
+  normalizeName,
+  getBadgeId,
   handleScenarioOutline,
+  getStepResultTag,
+  getStepErrorDetails,
+  getTagChips,
+  getHeadingAnchor,
   filterOutComments,
   fixTableFormatting,
-  convertFeatureToMarkdown 
+  getOutputPath,
+  featureToMarkdown,
+  convertFeatureToMarkdown,
+  getParseErrors,
+  formatParseError,
+  parseErrorToMarkdown,
+  parseCommandLine,
+  setLogLevel,
+  main
 } from '../feature2markdown.js';
+import { DEFAULT_CONFIG } from '../config.js';
+import { createResultsIndex } from '../results.js';
+import { NAV_MARKER, NAV_BEGIN, NAV_END } from '../nav.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -75,6 +95,121 @@ describe('feature2markdown.js', () => {
     });
   });
 
+  describe('findFeatureFiles with filters', () => {
+    const writeFeature = (relativePath) => {
+      const filePath = path.join(tempDir, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, 'Feature: Test');
+      return filePath;
+    };
+
+    test('should skip node_modules and .git by default', () => {
+      const kept = writeFeature('specs/kept.feature');
+      writeFeature('node_modules/package/vendored.feature');
+      writeFeature('.git/hooks/odd.feature');
+
+      expect(findFeatureFiles(tempDir)).toEqual([kept]);
+    });
+
+    test('should only return feature files matching the include patterns', () => {
+      const kept = writeFeature('specs/payments/refund.feature');
+      writeFeature('other/refund.feature');
+
+      expect(findFeatureFiles(tempDir, { include: ['specs/**/*.feature'] })).toEqual([kept]);
+    });
+
+    test('should skip files and directories matching the exclude patterns', () => {
+      const kept = writeFeature('specs/refund.feature');
+      writeFeature('specs/fixtures/broken.feature');
+      writeFeature('specs/draft.wip.feature');
+
+      const result = findFeatureFiles(tempDir, { exclude: ['**/fixtures/**', '**/*.wip.feature'] });
+
+      expect(result).toEqual([kept]);
+    });
+
+    test('should honour .gitignore files in the tree', () => {
+      const kept = writeFeature('specs/kept.feature');
+      writeFeature('build/copied.feature');
+      writeFeature('specs/generated/copied.feature');
+      fs.writeFileSync(path.join(tempDir, '.gitignore'), 'build/\n');
+      fs.writeFileSync(path.join(tempDir, 'specs', '.gitignore'), 'generated\n');
+
+      expect(findFeatureFiles(tempDir)).toEqual([kept]);
+    });
+
+    test('should honour .gitignore files of parent directories within the repository', () => {
+      const repo = path.join(tempDir, 'repo');
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      fs.writeFileSync(path.join(repo, '.gitignore'), 'out/\n');
+      const kept = writeFeature('repo/specs/kept.feature');
+      writeFeature('repo/specs/out/copied.feature');
+
+      expect(findFeatureFiles(path.join(repo, 'specs'))).toEqual([kept]);
+    });
+
+    test('should include ignored files when .gitignore is not respected', () => {
+      writeFeature('build/copied.feature');
+      fs.writeFileSync(path.join(tempDir, '.gitignore'), 'build/\n');
+
+      expect(findFeatureFiles(tempDir, { respectGitignore: false })).toHaveLength(1);
+    });
+
+    test('should follow symbolic links without looping', () => {
+      const kept = writeFeature('specs/kept.feature');
+      fs.symlinkSync(tempDir, path.join(tempDir, 'specs', 'loop'), 'dir');
+
+      expect(findFeatureFiles(tempDir)).toEqual([kept]);
+    });
+
+    test('should find feature files in symlinked directories', () => {
+      const shared = writeFeature('shared/common.feature');
+      fs.mkdirSync(path.join(tempDir, 'specs'));
+      fs.symlinkSync(path.join(tempDir, 'shared'), path.join(tempDir, 'specs', 'linked'), 'dir');
+
+      const result = findFeatureFiles(path.join(tempDir, 'specs'));
+
+      expect(result).toEqual([path.join(tempDir, 'specs', 'linked', 'common.feature')]);
+      expect(result).not.toContain(shared);
+    });
+  });
+
+  describe('normalizeName', () => {
+    test('should trim and collapse whitespace', () => {
+      expect(normalizeName('  Pay   the\tbill \n')).toBe('Pay the bill');
+    });
+
+    test('should apply Unicode NFC normalisation', () => {
+      expect(normalizeName('Cafe\u0301')).toBe('Caf\u00e9');
+    });
+
+    test('should keep placeholders and punctuation', () => {
+      expect(normalizeName('Send to <Email> & "copy"')).toBe('Send to <Email> & "copy"');
+    });
+  });
+
+  describe('getBadgeId', () => {
+    test('should be stable and short', () => {
+      expect(getBadgeId('specs/wash.feature', 'Wash', null, 'Enter')).toBe(getBadgeId('specs/wash.feature', 'Wash', null, 'Enter'));
+      expect(getBadgeId('specs/wash.feature', 'Wash', null, 'Enter')).toMatch(/^[0-9a-f]{12}$/);
+    });
+
+    test('should differ for equal scenario names in different rules or files', () => {
+      const ids = new Set([
+        getBadgeId('specs/wash.feature', 'Wash', 'Entry', 'Blocked'),
+        getBadgeId('specs/wash.feature', 'Wash', 'Exit', 'Blocked'),
+        getBadgeId('specs/other/wash.feature', 'Wash', 'Entry', 'Blocked'),
+        getBadgeId('specs/wash.feature', 'Wash', null, 'Blocked'),
+      ]);
+
+      expect(ids.size).toBe(4);
+    });
+
+    test('should use the normalised names', () => {
+      expect(getBadgeId('a.feature', 'Wash  car', null, ' Enter')).toBe(getBadgeId('a.feature', 'Wash car', null, 'Enter'));
+    });
+  });
+
   describe('getBadgeTag', () => {
     test('should generate correct badge tag for feature', () => {
       const featureName = 'My Feature';
@@ -99,7 +234,25 @@ describe('feature2markdown.js', () => {
 
       const result = getBadgeTag(featureName, scenarioName);
       
-      expect(result).toBe('<span class="bdd-badge-scenario" data-feature="My Feature! @#$%^&*()" data-scenario="Test Scenario: With Special Characters">Test Scenario: With Special Characters</span>');
+      expect(result).toBe('<span class="bdd-badge-scenario" data-feature="My Feature! @#$%^&amp;*()" data-scenario="Test Scenario: With Special Characters">Test Scenario: With Special Characters</span>');
+    });
+
+    test('should escape quotes, ampersands and angle brackets', () => {
+      const result = getBadgeTag('Tom & "Jerry"', 'Say <b>hi</b> & "bye"');
+
+      expect(result).toBe('<span class="bdd-badge-scenario" data-feature="Tom &amp; &quot;Jerry&quot;" data-scenario="Say &lt;b&gt;hi&lt;/b&gt; &amp; &quot;bye&quot;">Say &lt;b&gt;hi&lt;/b&gt; &amp; &quot;bye&quot;</span>');
+    });
+
+    test('should keep outline placeholders as escaped text', () => {
+      const result = getBadgeTag('Mail', null, 'Send to <Email>');
+
+      expect(result).toBe('<span class="bdd-badge-scenario-outline" data-feature="Mail" data-scenario-outline="Send to &lt;Email&gt;">Send to &lt;Email&gt;</span>');
+    });
+
+    test('should normalise whitespace in the data attributes only', () => {
+      const result = getBadgeTag('Spaced   feature', 'Tabbed\tscenario ');
+
+      expect(result).toBe('<span class="bdd-badge-scenario" data-feature="Spaced feature" data-scenario="Tabbed scenario">Tabbed\tscenario </span>');
     });
 
     test('should remove trailing slash from badge service URL', () => {
@@ -111,6 +264,12 @@ describe('feature2markdown.js', () => {
       expect(result).toBe('<span class="bdd-badge-scenario" data-feature="Feature" data-scenario="Scenario">Scenario</span>');
     });
 
+    test('should add the identifying attributes after the names', () => {
+      const result = getBadgeTag('Wash', 'Enter', null, { featureFile: 'specs/wash & dry.feature', rule: 'Entry  rules', line: 12, id: 'abc123' });
+
+      expect(result).toBe('<span class="bdd-badge-scenario" data-feature="Wash" data-scenario="Enter" data-feature-file="specs/wash &amp; dry.feature" data-rule="Entry rules" data-line="12" data-id="abc123">Enter</span>');
+    });
+
     test('should return empty string when feature name is not provided', () => {
       // Mock console.warn to check it's called
       const originalWarn = console.warn;
@@ -125,6 +284,81 @@ describe('feature2markdown.js', () => {
     });
   });
 
+  describe('featureToMarkdown', () => {
+    const featureContent = `@billing
+Feature: Invoicing
+  Invoices are sent every month
+
+  Scenario: Send invoice
+    Given a customer
+
+  Rule: Reminders
+    @slow
+    Scenario Outline: Send reminder after <days> days
+      Given an unpaid invoice of <days> days
+
+      Examples:
+        | days |
+        | 14   |`;
+
+    test('should return the markdown without writing files', () => {
+      const result = featureToMarkdown(featureContent);
+
+      expect(result.markdown.startsWith('<p style="text-align:right">')).toBe(true);
+      expect(result.markdown).toContain(`<span class="bdd-badge-feature" data-feature="Invoicing" data-line="2" data-id="${getBadgeId(undefined, 'Invoicing')}">Invoicing</span>`);
+      expect(result.markdown).toContain(`<span class="bdd-badge-scenario" data-feature="Invoicing" data-scenario="Send invoice" data-line="5" data-id="${getBadgeId(undefined, 'Invoicing', null, 'Send invoice')}">Send invoice</span>`);
+      expect(result.markdown.endsWith('\n')).toBe(true);
+      expect(fs.readdirSync(tempDir)).toHaveLength(0);
+    });
+
+    test('should return metadata about the feature', () => {
+      const result = featureToMarkdown(featureContent);
+
+      expect(result.featureName).toBe('Invoicing');
+      expect(result.description).toBe('Invoices are sent every month');
+      expect(result.tags).toEqual(['@billing']);
+      expect(result.rules).toEqual(['Reminders']);
+      expect(result.scenarios).toEqual([
+        {
+          name: 'Send invoice', keyword: 'Scenario', rule: null, line: 5, tags: [], allTags: ['@billing'], anchor: 'send-invoice', outline: false,
+          id: getBadgeId(undefined, 'Invoicing', null, 'Send invoice'), examples: [],
+        },
+        {
+          name: 'Send reminder after <days> days', keyword: 'Scenario Outline', rule: 'Reminders', line: 10, tags: ['@slow'], allTags: ['@billing', '@slow'],
+          anchor: 'send-reminder-after-days-days', outline: true,
+          id: getBadgeId(undefined, 'Invoicing', 'Reminders', 'Send reminder after <days> days'),
+          examples: [{ examples: '', index: 1, values: { days: '14' }, name: 'Send reminder after 14 days', line: 15 }],
+        },
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should show the tags as chips', () => {
+      const { markdown } = featureToMarkdown(featureContent);
+
+      expect(markdown).toContain('\n<span class="bdd-tag" data-tag="@billing">@billing</span>\n# Feature:');
+      expect(markdown).toContain('\n<span class="bdd-tag" data-tag="@slow">@slow</span>\n### Scenario Outline:');
+      expect(markdown).not.toContain('`@');
+    });
+
+    test('should keep the tags as code without tag chips', () => {
+      const { markdown } = featureToMarkdown(featureContent, { tagChips: false, badgeClasses: { tag: 'chip' } });
+
+      expect(markdown).toContain('\n`@billing`\n# Feature:');
+      expect(markdown).not.toContain('chip');
+    });
+
+    test('should warn instead of generating empty badges for a feature without a name', () => {
+      const result = featureToMarkdown(`Feature:
+  Scenario: Nameless parent
+    Given something`, { uri: 'nameless.feature' });
+
+      expect(result.warnings).toEqual(['nameless.feature: the feature has no name, no badges are generated']);
+      expect(result.markdown).not.toContain('bdd-badge-feature');
+      expect(result.markdown).toContain('Nameless parent');
+    });
+  });
+
   describe('convertFeatureToMarkdown', () => {
     test('should convert a simple feature file to markdown', () => {
       const featureContent = `Feature: Test Feature
@@ -145,11 +379,13 @@ describe('feature2markdown.js', () => {
 
       const outputContent = fs.readFileSync(outputFile, 'utf8');
 
-      // Check that the CSS file is included at the start of the output
-      expect(outputContent.startsWith('<p style="text-align:right"><span class="bdd-badge-latestbuild-tooltip"><span class="bdd-badge-latestbuild"></span></span></p>\n')).toBe(true);
-      expect(outputContent).toContain('# Feature: <span class="bdd-badge-feature" data-feature="Test Feature">Test Feature</span>');
+      // Check that the marker naming the source and the CSS file are included at the start of the output
+      expect(outputContent.startsWith('<!-- Generated by feature2markdown from test.feature. Changes are overwritten. -->\n'
+        + '<p style="text-align:right"><span class="bdd-badge-latestbuild-tooltip"><span class="bdd-badge-latestbuild"></span></span></p>\n')).toBe(true);
+      const featureFilePath = path.relative(process.cwd(), featureFile).split(path.sep).join('/');
+      expect(outputContent).toContain(`# Feature: <a id="test-feature" data-line="1"></a><span class="bdd-badge-feature" data-feature="Test Feature" data-feature-file="${featureFilePath}" data-line="1" data-id="${getBadgeId(featureFilePath, 'Test Feature')}">Test Feature</span>`);
       expect(outputContent).toContain('Test Scenario');
-      expect(outputContent).toContain('<span class="bdd-badge-scenario" data-feature="Test Feature" data-scenario="Test Scenario">Test Scenario</span>');
+      expect(outputContent).toContain(`<span class="bdd-badge-scenario" data-feature="Test Feature" data-scenario="Test Scenario" data-feature-file="${featureFilePath}" data-line="4" data-id="${getBadgeId(featureFilePath, 'Test Feature', null, 'Test Scenario')}">Test Scenario</span>`);
     });
 
 
@@ -168,6 +404,101 @@ describe('feature2markdown.js', () => {
     });
   });
 
+  describe('stable identifiers', () => {
+    test('should tell scenarios with the same name in different rules apart', () => {
+      const { markdown, scenarios } = featureToMarkdown(`Feature: Wash
+  Rule: Entry
+    Scenario: Blocked
+      Given a car
+
+  Rule: Exit
+    Scenario: Blocked
+      Given a car`, { featureFile: 'specs/wash.feature' });
+
+      expect(scenarios[0].id).not.toBe(scenarios[1].id);
+      expect(markdown).toContain(`data-scenario="Blocked" data-feature-file="specs/wash.feature" data-rule="Entry" data-line="3" data-id="${scenarios[0].id}"`);
+      expect(markdown).toContain(`data-scenario="Blocked" data-feature-file="specs/wash.feature" data-rule="Exit" data-line="7" data-id="${scenarios[1].id}"`);
+    });
+  });
+
+  describe('feature files without a Feature', () => {
+    let originalConsoleWarn;
+    let warnings;
+
+    beforeEach(() => {
+      originalConsoleWarn = console.warn;
+      warnings = [];
+      console.warn = (message) => warnings.push(message);
+    });
+
+    afterEach(() => {
+      console.warn = originalConsoleWarn;
+    });
+
+    test('should skip an empty file with a warning', () => {
+      const featureFile = path.join(tempDir, 'empty.feature');
+      fs.writeFileSync(featureFile, '');
+
+      const result = convertFeatureToMarkdown(featureFile);
+
+      expect(result).toBeNull();
+      expect(fs.existsSync(path.join(tempDir, 'empty.generated.md'))).toBe(false);
+      expect(warnings).toEqual([`${featureFile}: the file has no Feature, it is skipped`]);
+    });
+
+    test('should skip a file with only comments', () => {
+      const featureFile = path.join(tempDir, 'comments.feature');
+      fs.writeFileSync(featureFile, '# TODO: describe the refund flow\n# Owner: payments team\n');
+
+      expect(convertFeatureToMarkdown(featureFile)).toBeNull();
+      expect(fs.existsSync(path.join(tempDir, 'comments.generated.md'))).toBe(false);
+    });
+
+    test('should write a stub page when configured', () => {
+      const featureFile = path.join(tempDir, 'stub.feature');
+      fs.writeFileSync(featureFile, '# Work in progress\n');
+
+      const config = { ...DEFAULT_CONFIG, emptyFeature: 'stub' };
+      const outPath = convertFeatureToMarkdown(featureFile, { config });
+
+      expect(outPath).toBe(path.join(tempDir, 'stub.generated.md'));
+      const outputContent = fs.readFileSync(outPath, 'utf8');
+      expect(outputContent).toContain('# stub.feature');
+      expect(outputContent).toContain('This feature has not been described yet.');
+      expect(warnings).toEqual([`${featureFile}: the file has no Feature, a stub page is generated`]);
+    });
+
+    test('should return empty metadata from featureToMarkdown', () => {
+      const result = featureToMarkdown('');
+
+      expect(result.markdown).toBeNull();
+      expect(result.featureName).toBeNull();
+      expect(result.scenarios).toEqual([]);
+      expect(result.warnings).toEqual(['Feature file: the file has no Feature, it is skipped']);
+    });
+
+    test('should count skipped files separately in main', () => {
+      fs.writeFileSync(path.join(tempDir, 'empty.feature'), '');
+      fs.writeFileSync(path.join(tempDir, 'real.feature'), 'Feature: Real');
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      main([tempDir]);
+
+      expect(messages).toContain('1 feature files converted.');
+      expect(messages).toContain('1 feature files without a Feature skipped.');
+      expect(process.exitCode).toBeFalsy();
+    });
+
+    test('should write stub pages with --empty-feature stub', () => {
+      fs.writeFileSync(path.join(tempDir, 'empty.feature'), '');
+
+      main(['--empty-feature', 'stub', tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'empty.generated.md'))).toBe(true);
+    });
+  });
+
   describe('Integration test with real examples', () => {
     test('should process example files correctly', () => {
       const examplesDir = path.join(__dirname, '..', 'examples');
@@ -190,7 +521,7 @@ describe('feature2markdown.js', () => {
       const outputContent = fs.readFileSync(outputFile, 'utf8');
       expect(outputContent).toContain('# Feature: Managing');
       expect(outputContent).toContain('Happy customer');
-      expect(outputContent).toContain('<span class="bdd-badge-feature" data-feature="Managing">Managing</span>');
+      expect(outputContent).toContain('<span class="bdd-badge-feature" data-feature="Managing" data-feature-file="');
     });
   });
 
@@ -217,13 +548,25 @@ describe('feature2markdown.js', () => {
       expect(fs.existsSync(outputFile)).toBe(true);
 
       const outputContent = fs.readFileSync(outputFile, 'utf8');
-      expect(outputContent).toContain('<span class="bdd-badge-feature" data-feature="Test Feature with Scenario Outline">Test Feature with Scenario Outline</span>');
+      expect(outputContent).toContain('<span class="bdd-badge-feature" data-feature="Test Feature with Scenario Outline" data-feature-file="');
       expect(outputContent).toContain('Scenario Outline:');
       expect(outputContent).toContain('bdd-badge-scenario-outline');
       expect(outputContent).toContain('data-scenario-outline="Test with examples"');
       expect(outputContent).toContain('Examples:');
     });
 
+    test('should produce valid HTML for outlines with placeholders in the name', () => {
+      const { markdown } = featureToMarkdown(`Feature: Mail
+  Scenario Outline: Send to <Email>
+    Given the address <Email>
+
+    Examples:
+      | Email |
+      | a@b.c |`);
+
+      expect(markdown).toContain(`<span class="bdd-badge-scenario-outline" data-feature="Mail" data-scenario-outline="Send to &lt;Email&gt;" data-line="2" data-id="${getBadgeId(undefined, 'Mail', null, 'Send to <Email>')}">Send to &lt;Email&gt;</span>`);
+    });
+
     test('should generate correct badge for scenario outline', () => {
       const mockScenario = {
         name: 'Test Scenario Outline',
@@ -242,6 +585,466 @@ describe('feature2markdown.js', () => {
     });
   });
 
+  describe('rule badges', () => {
+    test('should generate a rule badge with the feature and rule names', () => {
+      const result = getRuleBadgeTag('Wash', 'Entry & exit', { featureFile: 'w.feature', line: 3, id: 'abc' });
+
+      expect(result).toBe('<span class="bdd-badge-rule" data-feature="Wash" data-rule="Entry &amp; exit" data-feature-file="w.feature" data-line="3" data-id="abc">Entry &amp; exit</span>');
+    });
+
+    test('should add a badge to every Rule heading', () => {
+      const { markdown } = featureToMarkdown(`Feature: Wash
+  Rule: Entry
+    Scenario: Enter
+      Given a car
+
+  Rule: Exit
+    Scenario: Leave
+      Given a car`, { featureFile: 'w.feature' });
+
+      expect(markdown).toContain(`## Rule: <a id="entry" data-line="2"></a><span class="bdd-badge-rule" data-feature="Wash" data-rule="Entry" data-feature-file="w.feature" data-line="2" data-id="${getBadgeId('w.feature', 'Wash', 'Entry')}">Entry</span>`);
+      expect(markdown).toContain(`## Rule: <a id="exit" data-line="6"></a><span class="bdd-badge-rule" data-feature="Wash" data-rule="Exit" data-feature-file="w.feature" data-line="6" data-id="${getBadgeId('w.feature', 'Wash', 'Exit')}">Exit</span>`);
+      // The scenarios keep the plain rule name
+      expect(markdown).toContain('data-scenario="Leave" data-feature-file="w.feature" data-rule="Exit"');
+    });
+
+    test('should use the configured rule class', () => {
+      const { markdown } = featureToMarkdown(`Feature: Wash
+  Rule: Entry
+    Scenario: Enter
+      Given a car`, { badgeClasses: { rule: 'my-rule' } });
+
+      expect(markdown).toContain('<span class="my-rule" data-feature="Wash" data-rule="Entry"');
+    });
+  });
+
+  describe('example row badges', () => {
+    const outlineFeature = `Feature: Channels
+  Rule: Delivery
+    Scenario Outline: Send <channel> to <name>
+      Given a <channel> for "<name>"
+
+      Examples: Digital
+        | channel | name  |
+        | email   | Alice |
+        | sms     | Bob   |
+
+      Examples: Paper
+        | channel | name  |
+        | letter  | Carol |`;
+
+    test('should list the rows of every Examples table', () => {
+      const { scenarios } = featureToMarkdown(outlineFeature);
+
+      expect(scenarios[0].examples).toEqual([
+        { examples: 'Digital', index: 1, values: { channel: 'email', name: 'Alice' }, name: 'Send email to Alice', line: 8 },
+        { examples: 'Digital', index: 2, values: { channel: 'sms', name: 'Bob' }, name: 'Send sms to Bob', line: 9 },
+        { examples: 'Paper', index: 1, values: { channel: 'letter', name: 'Carol' }, name: 'Send letter to Carol', line: 13 },
+      ]);
+    });
+
+    test('should keep placeholders without a column in the row name', () => {
+      const rows = getExampleRows({
+        name: 'Send <channel> at <time>',
+        examples: [{
+          name: '',
+          tableHeader: { cells: [{ value: 'channel' }] },
+          tableBody: [{ location: { line: 5 }, cells: [{ value: 'email' }] }],
+        }],
+      });
+
+      expect(rows[0].name).toBe('Send email at <time>');
+    });
+
+    test('should generate a badge with the example table, index and values', () => {
+      const row = { examples: 'Digital', index: 2, values: { channel: 'sms' }, name: 'Send sms', line: 9 };
+
+      const result = getExampleBadgeTag('Channels', 'Send <channel>', row, { featureFile: 'c.feature', rule: 'Delivery', id: 'abc' });
+
+      expect(result).toBe('<span class="bdd-badge-example" data-feature="Channels" data-scenario-outline="Send &lt;channel&gt;" data-scenario="Send sms"'
+        + ' data-examples="Digital" data-example-index="2" data-example-values="{&quot;channel&quot;:&quot;sms&quot;}"'
+        + ' data-feature-file="c.feature" data-rule="Delivery" data-line="9" data-id="abc"></span>');
+    });
+
+    test('should add a badge column to every Examples table', () => {
+      const { markdown, scenarios } = featureToMarkdown(outlineFeature, { featureFile: 'c.feature' });
+
+      const rowLines = markdown.split('\n').filter(line => /^\| (email|sms|letter) /.test(line));
+      expect(rowLines).toHaveLength(3);
+      rowLines.forEach(line => expect(line).toMatch(/<span class="bdd-badge-example" .*><\/span> *\|$/));
+      expect(markdown).toContain(`data-scenario="Send letter to Carol" data-examples="Paper" data-example-index="1"`);
+      expect(markdown).toContain(`data-feature-file="c.feature" data-rule="Delivery" data-line="13" data-id="${getBadgeId('c.feature', 'Channels', 'Delivery', 'Send <channel> to <name>', 'Paper#1')}"`);
+      expect(markdown).toContain(`data-scenario-outline="Send &lt;channel&gt; to &lt;name&gt;" data-feature-file="c.feature" data-rule="Delivery" data-line="3" data-id="${scenarios[0].id}">`);
+    });
+
+    test('should give every row a different id', () => {
+      const { markdown } = featureToMarkdown(outlineFeature);
+
+      const ids = [...markdown.matchAll(/class="bdd-badge-example"[^>]* data-id="([0-9a-f]+)"/g)].map(match => match[1]);
+      expect(new Set(ids).size).toBe(3);
+    });
+
+    test('should leave the Examples tables alone when example badges are disabled', () => {
+      const { markdown } = featureToMarkdown(outlineFeature, { exampleBadges: false });
+
+      expect(markdown).not.toContain('bdd-badge-example');
+      expect(markdown).toContain('| email   | Alice |\n');
+    });
+  });
+
+  describe('test results', () => {
+    const resultsFeature = `Feature: Wash
+  Scenario: Pay
+    Given a car
+
+  Rule: Entry
+    Scenario: Enter
+      Given a car
+
+    Scenario Outline: Choose <program>
+      Given the <program> program
+
+      Examples:
+        | program |
+        | basic   |
+        | premium |`;
+
+    const results = createResultsIndex([
+      { uri: 'features/wash.feature', featureName: 'Wash', scenarioName: 'Pay', line: 2, status: 'passed', duration: 1.5 },
+      { uri: 'features/wash.feature', featureName: 'Wash', scenarioName: 'Enter', line: 6, status: 'passed' },
+      { uri: 'features/wash.feature', featureName: 'Wash', scenarioName: 'Choose basic', line: 14, status: 'passed', duration: 0.1234 },
+      { uri: 'features/wash.feature', featureName: 'Wash', scenarioName: 'Choose premium', line: 15, status: 'pending', duration: 0.2 },
+    ]);
+
+    test('should bake the result into the scenario and example badges', () => {
+      const { markdown } = featureToMarkdown(resultsFeature, { featureFile: 'features/wash.feature', results });
+
+      expect(markdown).toContain(`data-scenario="Pay" data-feature-file="features/wash.feature" data-line="2" data-id="${getBadgeId('features/wash.feature', 'Wash', null, 'Pay')}" data-result="passed" data-duration="1.5">Pay</span>`);
+      expect(markdown).toMatch(/data-scenario="Choose basic".*data-line="14" data-id="[0-9a-f]{12}" data-result="passed" data-duration="0.123"><\/span>/);
+      expect(markdown).toMatch(/data-scenario="Choose premium".*data-line="15" data-id="[0-9a-f]{12}" data-result="pending" data-duration="0.2"><\/span>/);
+      expect(markdown).toMatch(/data-scenario="Enter"[^>]* data-result="passed">Enter<\/span>/);
+    });
+
+    test('should derive the outline, rule and feature results from their scenarios', () => {
+      const { markdown, result, scenarios } = featureToMarkdown(resultsFeature, { featureFile: 'features/wash.feature', results });
+
+      expect(markdown).toMatch(/class="bdd-badge-scenario-outline"[^>]* data-result="pending" data-duration="0.323">Choose &lt;program&gt;<\/span>/);
+      expect(markdown).toMatch(/class="bdd-badge-rule"[^>]* data-result="pending" data-duration="0.323">Entry<\/span>/);
+      expect(markdown).toMatch(/class="bdd-badge-feature"[^>]* data-result="pending" data-duration="1.823">Wash<\/span>/);
+      expect(result).toBe('pending');
+      expect(scenarios.map(scenario => scenario.result)).toEqual(['passed', 'passed', 'pending']);
+      expect(scenarios[2].examples.map(row => row.result)).toEqual(['passed', 'pending']);
+    });
+
+    test('should leave out the result of scenarios without one', () => {
+      const { markdown, result } = featureToMarkdown(resultsFeature, { featureFile: 'features/wash.feature', results: createResultsIndex([]) });
+
+      expect(markdown).not.toContain('data-result');
+      expect(result).toBeUndefined();
+    });
+
+    test('should read the results given on the command line', () => {
+      const featurePath = path.join(tempDir, 'wash.feature');
+      const resultsPath = path.join(tempDir, 'cucumber.json');
+      fs.writeFileSync(featurePath, 'Feature: Wash\n  Scenario: Pay\n    Given a car');
+      fs.writeFileSync(resultsPath, JSON.stringify([{ name: 'Wash', elements: [{ type: 'scenario', name: 'Pay', steps: [{ result: { status: 'failed' } }] }] }]));
+
+      main(['--results', resultsPath, tempDir]);
+
+      const markdown = fs.readFileSync(path.join(tempDir, 'wash.generated.md'), 'utf8');
+      expect(markdown).toMatch(/class="bdd-badge-feature"[^>]* data-result="failed">Wash<\/span>/);
+    });
+
+    test('should stop when the results cannot be read', () => {
+      const originalConsoleError = console.error;
+      const originalExitCode = process.exitCode;
+      const errors = [];
+      console.error = (message) => errors.push(message);
+      fs.writeFileSync(path.join(tempDir, 'wash.feature'), 'Feature: Wash');
+
+      try {
+        main(['--results', path.join(tempDir, 'missing.json'), tempDir]);
+        expect(process.exitCode).toBe(2);
+      } finally {
+        console.error = originalConsoleError;
+        process.exitCode = originalExitCode;
+      }
+      expect(errors[0]).toContain('missing.json');
+      expect(fs.existsSync(path.join(tempDir, 'wash.generated.md'))).toBe(false);
+    });
+
+    test('should match JUnit testcases with the configured rules and report the unmatched ones', () => {
+      const originalConsoleWarn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      const specs = path.join(tempDir, 'specs');
+      fs.mkdirSync(specs);
+      fs.writeFileSync(path.join(specs, 'wash.feature'), resultsFeature);
+      const resultsPath = path.join(tempDir, 'junit.xml');
+      fs.writeFileSync(resultsPath, `<testsuite name="WashFeature">
+  <testcase classname="Acme.Specs.WashFeature" name="Pay" time="3"/>
+  <testcase classname="Acme.Specs.WashFeature" name="ChooseBasic"><failure/></testcase>
+  <testcase classname="Acme.Specs.WashFeature" name="Dry"/>
+</testsuite>`);
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ junit: { featurePattern: '(\\w+)Feature$', looseNames: true } }));
+
+      try {
+        main(['--config', configPath, '--results', resultsPath, specs]);
+      } finally {
+        console.warn = originalConsoleWarn;
+      }
+
+      const markdown = fs.readFileSync(path.join(specs, 'wash.generated.md'), 'utf8');
+      expect(markdown).toMatch(/data-scenario="Pay"[^>]* data-result="passed" data-duration="3">Pay<\/span>/);
+      expect(markdown).toMatch(/data-scenario="Choose basic"[^>]* data-result="failed"><\/span>/);
+      expect(markdown).toMatch(/class="bdd-badge-feature"[^>]* data-result="failed" data-duration="3">Wash<\/span>/);
+      expect(warnings).toEqual([
+        '1 test result(s) did not match any scenario:',
+        `  ${resultsPath}: Wash > Dry`,
+      ]);
+    });
+  });
+
+  describe('getTagChips', () => {
+    test('should generate an escaped chip for every tag', () => {
+      expect(getTagChips(['@payments', '@a"b'])).toBe('<span class="bdd-tag" data-tag="@payments">@payments</span> <span class="bdd-tag" data-tag="@a&quot;b">@a&quot;b</span>');
+      expect(getTagChips(['@wip'], { badgeClasses: { tag: 'chip' } })).toBe('<span class="chip" data-tag="@wip">@wip</span>');
+    });
+  });
+
+  describe('getHeadingAnchor', () => {
+    test('should generate the anchors of MkDocs', () => {
+      expect(getHeadingAnchor('Scenario Outline: Pay <amount> by card')).toBe('scenario-outline-pay-amount-by-card');
+      expect(getHeadingAnchor('Scenario: Crème brûlée  -- served')).toBe('scenario-creme-brulee-served');
+      expect(getHeadingAnchor('Regel: Überweisung_2')).toBe('regel-uberweisung_2');
+    });
+
+    test('should make the anchors unique within the page', () => {
+      const usedAnchors = new Set();
+
+      expect(getHeadingAnchor('Examples:', usedAnchors)).toBe('examples');
+      expect(getHeadingAnchor('Examples:', usedAnchors)).toBe('examples_1');
+      expect(getHeadingAnchor('Examples:', usedAnchors)).toBe('examples_2');
+      expect(getHeadingAnchor('!!!', usedAnchors)).toBe('_1');
+    });
+  });
+
+  describe('heading anchors', () => {
+    test('should put an anchor with its line in front of every feature, rule and scenario name', () => {
+      const { markdown } = featureToMarkdown(`Feature: Refund
+  Background:
+    Given a shop
+
+  Rule: Refund
+    Scenario: Refund by card
+      Given a card payment
+
+    Scenario Outline: Refund <amount>
+      Given a payment of <amount>
+
+      Examples:
+        | amount |
+        | 10     |`, { latestBuildBadge: '' });
+
+      expect(markdown).toContain('# Feature: <a id="refund" data-line="1"></a><span class="bdd-badge-feature"');
+      expect(markdown).toContain('## Background:\n');
+      expect(markdown).toContain('## Rule: <a id="refund_1" data-line="5"></a><span class="bdd-badge-rule"');
+      expect(markdown).toContain('### Scenario: <a id="refund-by-card" data-line="6"></a><span class="bdd-badge-scenario"');
+      expect(markdown).toContain('### Scenario Outline: <a id="refund-amount" data-line="9"></a><span class="bdd-badge-scenario-outline"');
+    });
+
+    test('should use the keyword for headings without a name', () => {
+      const { markdown } = featureToMarkdown(`Feature:
+  Scenario:
+    Given a step`);
+
+      expect(markdown).toContain('# Feature: <a id="feature" data-line="1"></a>\n');
+      expect(markdown).toContain('## Scenario: <a id="scenario" data-line="2"></a>\n');
+    });
+  });
+
+  describe('tags', () => {
+    const taggedFeature = `@billing
+Feature: Invoices
+
+  Background:
+    Given a customer
+
+  @customer-facing
+  Scenario: Send an invoice
+    Given an order
+
+  @wip
+  Scenario: Cancel an invoice
+    Given an invoice
+
+  Scenario Outline: Pay <amount>
+    Given an invoice of <amount>
+
+    @customer-facing
+    Examples: Card
+      | amount |
+      | 10     |
+
+    @internal
+    Examples: Transfer
+      | amount |
+      | 20     |
+
+  @internal
+  Rule: Reminders
+    Scenario: Remind once
+      Given an unpaid invoice`;
+
+    test('should only convert the scenarios matching the tag expression', () => {
+      const { markdown, scenarios, rules, excluded } = featureToMarkdown(taggedFeature, { tags: '@customer-facing and not @wip' });
+
+      expect(excluded).toBe(false);
+      expect(scenarios.map(scenario => scenario.name)).toEqual(['Send an invoice', 'Pay <amount>']);
+      expect(rules).toEqual([]);
+      expect(markdown).toContain('Background:');
+      expect(markdown).not.toContain('Cancel an invoice');
+      expect(markdown).not.toContain('Rule:');
+      expect(markdown).toContain('Examples: Card');
+      expect(markdown).not.toContain('Examples: Transfer');
+    });
+
+    test('should inherit the tags of the feature and rule', () => {
+      const { scenarios } = featureToMarkdown(taggedFeature, { tags: '@billing and @internal' });
+
+      expect(scenarios.map(scenario => scenario.name)).toEqual(['Pay <amount>', 'Remind once']);
+      expect(scenarios[0].examples.map(row => row.values.amount)).toEqual(['20']);
+    });
+
+    test('should leave out a feature without matching scenarios', () => {
+      const result = featureToMarkdown(taggedFeature, { tags: '@deprecated' });
+
+      expect(result.markdown).toBeNull();
+      expect(result.excluded).toBe(true);
+      expect(result.featureName).toBe('Invoices');
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should judge a feature without scenarios by its own tags', () => {
+      expect(featureToMarkdown('@billing\nFeature: Empty', { tags: '@billing' }).excluded).toBe(false);
+      expect(featureToMarkdown('Feature: Empty', { tags: '@billing' }).excluded).toBe(true);
+    });
+
+    test('should give the scenarios the anchors of their headings', () => {
+      const { scenarios } = featureToMarkdown(`Feature: Twice
+  Scenario: Same
+    Given a step
+
+  Rule: Other
+    Scenario: Same
+      Given a step`);
+
+      expect(scenarios.map(scenario => scenario.anchor)).toEqual(['same', 'same_1']);
+    });
+
+    test('should reject an invalid tag expression', () => {
+      expect(() => featureToMarkdown(taggedFeature, { tags: '@a and' }))
+        .toThrow('Invalid value for "tags" in the configuration: not a valid tag expression');
+    });
+  });
+
+  describe('step results', () => {
+    const stepsFeature = `Feature: Wash
+  Background:
+    Given a wash
+
+  Scenario: Pay
+    When I pay
+      | amount |
+      | 10     |
+    Then the gate opens
+
+  Scenario: Leave
+    Then the gate opens`;
+
+    const results = createResultsIndex([
+      { featureName: 'Wash', scenarioName: 'Pay', status: 'failed', steps: [
+        { line: 3, status: 'passed', duration: 0.5 },
+        { line: 6, status: 'failed', error: 'Error: expected <10>\n\n    at pay.js:3' },
+        { line: 9, status: 'skipped' },
+      ] },
+      { featureName: 'Wash', scenarioName: 'Leave', status: 'failed', steps: [
+        { line: 3, status: 'failed', error: 'Error: no water' },
+        { line: 12, status: 'skipped' },
+      ] },
+    ]);
+
+    test('should generate a step result tag with the worst result', () => {
+      const result = getStepResultTag([{ status: 'passed', duration: 0.5 }, { status: 'skipped', duration: 0.25 }], { line: 3 });
+
+      expect(result).toBe('<span class="bdd-badge-step" data-line="3" data-result="skipped" data-duration="0.75"></span>');
+    });
+
+    test('should describe each failure, naming the scenario when the step is shared', () => {
+      const details = getStepErrorDetails([
+        { scenarioName: 'Pay', status: 'failed', error: 'Error: <boom>\n\n    at pay.js:3' },
+        { scenarioName: 'Leave', status: 'failed' },
+        { scenarioName: 'Stay', status: 'passed' },
+      ]);
+
+      expect(details).toEqual([
+        '<details class="bdd-badge-step-error"><summary>Pay: Error: &lt;boom&gt;</summary>\n<pre>Error: &lt;boom&gt;\n    at pay.js:3</pre>\n</details>',
+        '<details class="bdd-badge-step-error"><summary>Leave: The step failed without an error message.</summary>\n<pre>The step failed without an error message.</pre>\n</details>',
+      ]);
+    });
+
+    test('should annotate every step and add the errors below failed steps and their tables', () => {
+      const { markdown } = featureToMarkdown(stepsFeature, { latestBuildBadge: '', results });
+
+      expect(markdown).toContain('* Given a wash <span class="bdd-badge-step" data-line="3" data-result="failed" data-duration="0.5"></span>\n'
+        + '\n'
+        + '<details class="bdd-badge-step-error"><summary>Leave: Error: no water</summary>\n<pre>Error: no water</pre>\n</details>\n'
+        + '\n'
+        + '## Scenario:');
+      expect(markdown).toContain('* When I pay <span class="bdd-badge-step" data-line="6" data-result="failed"></span>\n'
+        + '| amount |\n'
+        + '| ------ |\n'
+        + '|     10 |\n'
+        + '\n'
+        + '<details class="bdd-badge-step-error"><summary>Error: expected &lt;10&gt;</summary>\n<pre>Error: expected &lt;10&gt;\n    at pay.js:3</pre>\n</details>\n'
+        + '\n'
+        + '* Then the gate opens <span class="bdd-badge-step" data-line="9" data-result="skipped"></span>');
+      expect(markdown).toContain('* Then the gate opens <span class="bdd-badge-step" data-line="12" data-result="skipped"></span>');
+    });
+
+    test('should add the errors above the tags of the next scenario', () => {
+      const taggedResults = createResultsIndex([
+        { featureName: 'Wash', scenarioName: 'Pay', status: 'failed', steps: [{ line: 3, status: 'failed', error: 'Error: no card' }] },
+      ]);
+      const { markdown } = featureToMarkdown('Feature: Wash\n  Scenario: Pay\n    When I pay\n\n  @exit\n  Scenario: Leave\n    Then the gate opens', {
+        latestBuildBadge: '',
+        results: taggedResults,
+      });
+
+      expect(markdown).toContain('* When I pay <span class="bdd-badge-step" data-line="3" data-result="failed"></span>\n'
+        + '\n'
+        + '<details class="bdd-badge-step-error"><summary>Error: no card</summary>\n<pre>Error: no card</pre>\n</details>\n'
+        + '\n'
+        + '<span class="bdd-tag" data-tag="@exit">@exit</span>\n'
+        + '## Scenario:');
+    });
+
+    test('should use the configured classes', () => {
+      const { markdown } = featureToMarkdown(stepsFeature, { results, badgeClasses: { step: 'my-step', stepError: 'my-error' } });
+
+      expect(markdown).toContain('* Given a wash <span class="my-step" data-line="3"');
+      expect(markdown).toContain('<details class="my-error"><summary>Leave: Error: no water</summary>');
+    });
+
+    test('should leave the steps alone when step results are disabled', () => {
+      const { markdown } = featureToMarkdown(stepsFeature, { results, stepResults: false });
+
+      expect(markdown).not.toContain('bdd-badge-step');
+      expect(markdown).toContain('data-result="failed">Pay</span>');
+    });
+  });
+
   describe('filterOutComments', () => {
     test('should remove Gherkin comments while preserving headings', () => {
       const markdownWithComments = `# Feature: Test Feature
@@ -478,4 +1281,642 @@ As a user
       expect(outputContent.charCodeAt(outputContent.length - 1)).toBe(10); // newline character
     });
   });
+
+  describe('parse errors', () => {
+    const invalidFeature = `Feature: Broken
+  Scenario: Fine
+    Given something
+  This line is not Gherkin`;
+
+    const parseError = (text) => {
+      try {
+        featureToMarkdown(text);
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected a parse error');
+    };
+
+    test('should report the line and column of every Gherkin error', () => {
+      const errors = getParseErrors(parseError(invalidFeature));
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].line).toBe(4);
+      expect(errors[0].column).toBe(3);
+      expect(errors[0].message).toMatch(/^expected: .*got 'This line is not Gherkin'$/);
+    });
+
+    test('should report errors without a location', () => {
+      expect(getParseErrors(new Error('EACCES: permission denied'))).toEqual([
+        { line: null, column: null, message: 'EACCES: permission denied' },
+      ]);
+    });
+
+    test('should format errors as path:line:column', () => {
+      expect(formatParseError('a.feature', { line: 4, column: 3, message: 'oops' })).toBe('a.feature:4:3: oops');
+      expect(formatParseError('a.feature', { line: 5, column: null, message: 'oops' })).toBe('a.feature:5: oops');
+      expect(formatParseError('a.feature', { line: null, column: null, message: 'oops' })).toBe('a.feature: oops');
+    });
+
+    test('should describe the errors in a placeholder page', () => {
+      const markdown = parseErrorToMarkdown('specs/broken.feature', [
+        { line: 4, column: 3, message: "got '<Email>'" },
+      ]);
+
+      expect(markdown).toContain('# broken.feature');
+      expect(markdown).toContain("* Line 4, column 3: got '&lt;Email&gt;'");
+      expect(markdown.startsWith('<p style="text-align:right">')).toBe(true);
+    });
+  });
+
+  describe('getOutputPath', () => {
+    test('should place output next to the feature file without an output directory', () => {
+      const featureFile = path.join(tempDir, 'specs', 'login.feature');
+
+      expect(getOutputPath(featureFile)).toBe(path.join(tempDir, 'specs', 'login.generated.md'));
+    });
+
+    test('should mirror the tree below the root into the output directory', () => {
+      const root = path.join(tempDir, 'specs');
+      const featureFile = path.join(root, 'payments', 'refund.feature');
+      const outDir = path.join(tempDir, 'docs');
+
+      expect(getOutputPath(featureFile, root, outDir)).toBe(path.join(outDir, 'payments', 'refund.generated.md'));
+    });
+  });
+
+  describe('parseCommandLine', () => {
+    test('should default to the current directory and normal logging', () => {
+      const options = parseCommandLine([]);
+
+      expect(options.roots).toEqual([process.cwd()]);
+      expect(options.outDir).toBeUndefined();
+      expect(options.dryRun).toBe(false);
+      expect(options.logLevel).toBe('normal');
+    });
+
+    test('should parse roots and options', () => {
+      const options = parseCommandLine(['--out-dir', 'docs', '--dry-run', '-v', 'specs', 'more-specs']);
+
+      expect(options.roots).toEqual(['specs', 'more-specs']);
+      expect(options.outDir).toBe('docs');
+      expect(options.dryRun).toBe(true);
+      expect(options.logLevel).toBe('verbose');
+    });
+
+    test('should reject --quiet together with --verbose', () => {
+      expect(() => parseCommandLine(['--quiet', '--verbose'])).toThrow('--quiet and --verbose cannot be used together');
+    });
+
+    test('should reject unknown options', () => {
+      expect(() => parseCommandLine(['--unknown'])).toThrow();
+    });
+  });
+
+  describe('main', () => {
+    let originalConsoleError;
+    let originalExitCode;
+
+    beforeEach(() => {
+      originalConsoleError = console.error;
+      console.error = () => {};
+      originalExitCode = process.exitCode;
+    });
+
+    afterEach(() => {
+      console.error = originalConsoleError;
+      process.exitCode = originalExitCode;
+      setLogLevel('normal');
+    });
+
+    test('should write to the output directory, mirroring the source tree', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(path.join(root, 'payments'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'payments', 'refund.feature'), 'Feature: Refund\n  Scenario: Full refund\n    Given a payment');
+      const outDir = path.join(tempDir, 'docs');
+
+      main(['--out-dir', outDir, root]);
+
+      expect(fs.existsSync(path.join(outDir, 'payments', 'refund.generated.md'))).toBe(true);
+      expect(fs.existsSync(path.join(root, 'payments', 'refund.generated.md'))).toBe(false);
+    });
+
+    test('should process every root', () => {
+      const rootA = path.join(tempDir, 'a');
+      const rootB = path.join(tempDir, 'b');
+      fs.mkdirSync(rootA);
+      fs.mkdirSync(rootB);
+      fs.writeFileSync(path.join(rootA, 'one.feature'), 'Feature: One');
+      fs.writeFileSync(path.join(rootB, 'two.feature'), 'Feature: Two');
+
+      main([rootA, rootB]);
+
+      expect(fs.existsSync(path.join(rootA, 'one.generated.md'))).toBe(true);
+      expect(fs.existsSync(path.join(rootB, 'two.generated.md'))).toBe(true);
+    });
+
+    test('should only list the files that would be written with --dry-run', () => {
+      fs.writeFileSync(path.join(tempDir, 'dry.feature'), 'Feature: Dry');
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      main(['--dry-run', tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'dry.generated.md'))).toBe(false);
+      expect(messages).toContain(`Would write: ${path.join(tempDir, 'dry.generated.md')}`);
+    });
+
+    test('should write index pages of the converted features with --index', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(path.join(root, 'payments'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'payments', 'refund.feature'), '@smoke\nFeature: Refund\n  Money back\n  Rule: Full\n    Scenario: Full refund\n      Given a payment');
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login\n  Scenario: Sign in\n    Given a user');
+      fs.writeFileSync(path.join(root, 'empty.feature'), '');
+      const outDir = path.join(tempDir, 'docs');
+      const originalConsoleWarn = console.warn;
+      console.warn = () => {};
+
+      try {
+        main(['--index', 'directory', '--out-dir', outDir, root]);
+      } finally {
+        console.warn = originalConsoleWarn;
+      }
+
+      const index = fs.readFileSync(path.join(outDir, 'index.md'), 'utf8');
+      expect(index).toContain('2 features with 2 scenarios.');
+      expect(index).toMatch(/^\| \[<span class="bdd-badge-feature" data-feature="Login"[^|]*>Login<\/span>\]\(login\.generated\.md\) \|  \|  \| 1 \| 0 \|$/m);
+      expect(index).toContain('## [payments](payments/index.md)');
+      expect(index).toMatch(/>Refund<\/span>\]\(payments\/refund\.generated\.md\) \| Money back \| `@smoke` \| 1 \| 1 \|$/m);
+      expect(fs.readFileSync(path.join(outDir, 'payments', 'index.md'), 'utf8')).toContain('# Features: payments');
+    });
+
+    test('should not overwrite an index page that was written by hand', () => {
+      fs.writeFileSync(path.join(tempDir, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(tempDir, 'index.md'), '# Our specifications\n');
+      const originalConsoleWarn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+
+      try {
+        main(['--index', 'root', tempDir]);
+      } finally {
+        console.warn = originalConsoleWarn;
+      }
+
+      expect(fs.readFileSync(path.join(tempDir, 'index.md'), 'utf8')).toBe('# Our specifications\n');
+      expect(warnings).toEqual([`Not overwriting ${path.join(tempDir, 'index.md')}: it was not generated by feature2markdown`]);
+    });
+
+    test('should reject an unknown index mode', () => {
+      const errors = [];
+      console.error = (message) => errors.push(message);
+
+      main(['--index', 'all', tempDir]);
+
+      expect(process.exitCode).toBe(2);
+      expect(errors[0]).toBe('Invalid value for "indexPages" in the command line: expected one of none, root, directory, got "all"');
+    });
+
+    test('should write the tag index page with --tag-index', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(path.join(root, 'payments'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'payments', 'refund.feature'), '@payments\nFeature: Refund\n  Scenario: Full refund\n    Given a payment');
+      const outDir = path.join(tempDir, 'docs');
+
+      main(['--tag-index', '--nav', 'mkdocs', '--out-dir', outDir, root]);
+
+      const tagIndex = fs.readFileSync(path.join(outDir, 'tags.md'), 'utf8');
+      expect(tagIndex).toContain('## @payments\n');
+      expect(tagIndex).toContain('| [Full refund](payments/refund.generated.md#full-refund) |');
+      expect(fs.readFileSync(path.join(outDir, 'nav.yml'), 'utf8')).toContain('- Tags: tags.md\n');
+    });
+
+    test('should write the MkDocs navigation with --nav', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(path.join(root, 'payments'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'payments', 'refund.feature'), 'Feature: Refund');
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      const outDir = path.join(tempDir, 'docs', 'specs');
+
+      main(['--nav', 'mkdocs', '--index', 'root', '--out-dir', outDir, root]);
+
+      expect(fs.readFileSync(path.join(outDir, 'nav.yml'), 'utf8')).toBe(`${NAV_MARKER}
+- index.md
+- Login: login.generated.md
+- payments:
+  - Refund: payments/refund.generated.md
+`);
+    });
+
+    test('should update the navigation in mkdocs.yml between the markers', () => {
+      const root = path.join(tempDir, 'docs', 'specs');
+      fs.mkdirSync(root, { recursive: true });
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      const mkdocsPath = path.join(tempDir, 'mkdocs.yml');
+      fs.writeFileSync(mkdocsPath, `nav:\n  - Specs:\n    ${NAV_BEGIN}\n    ${NAV_END}\n`);
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ nav: 'pages', navFile: mkdocsPath, navDocsDir: path.join(tempDir, 'docs') }));
+
+      main(['--config', configPath, '--nav', 'mkdocs', root]);
+
+      expect(fs.readFileSync(mkdocsPath, 'utf8')).toBe(`nav:\n  - Specs:\n    ${NAV_BEGIN}\n    - specs:\n      - Login: specs/login.generated.md\n    ${NAV_END}\n`);
+    });
+
+    test('should leave out the features without scenarios matching --tags', () => {
+      fs.writeFileSync(path.join(tempDir, 'public.feature'), 'Feature: Public\n  @customer-facing\n  Scenario: Shown\n    Given a step\n  Scenario: Hidden\n    Given a step');
+      fs.writeFileSync(path.join(tempDir, 'internal.feature'), 'Feature: Internal\n  Scenario: Hidden\n    Given a step');
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      main(['--tags', '@customer-facing', tempDir]);
+
+      const markdown = fs.readFileSync(path.join(tempDir, 'public.generated.md'), 'utf8');
+      expect(markdown).toContain('Shown');
+      expect(markdown).not.toContain('Hidden');
+      expect(fs.existsSync(path.join(tempDir, 'internal.generated.md'))).toBe(false);
+      expect(messages).toContain('1 feature files without scenarios matching @customer-facing left out.');
+      expect(process.exitCode).toBeFalsy();
+    });
+
+    test('should remove the page of a feature that no longer matches --tags', () => {
+      const featurePath = path.join(tempDir, 'draft.feature');
+      const outPath = path.join(tempDir, 'draft.generated.md');
+      fs.writeFileSync(featurePath, 'Feature: Draft\n  Scenario: Shown\n    Given a step');
+      let messages = [];
+      console.log = (message) => messages.push(message);
+      main(['--tags', 'not @wip', tempDir]);
+      expect(fs.existsSync(outPath)).toBe(true);
+      fs.writeFileSync(featurePath, 'Feature: Draft\n  @wip\n  Scenario: Shown\n    Given a step');
+
+      messages = [];
+      main(['--check', '--tags', 'not @wip', tempDir]);
+      expect(messages[0]).toContain('+++ /dev/null\n');
+      expect(process.exitCode).toBe(1);
+      expect(fs.existsSync(outPath)).toBe(true);
+
+      process.exitCode = undefined;
+      main(['--tags', 'not @wip', tempDir]);
+      expect(fs.existsSync(outPath)).toBe(false);
+      expect(messages).toContain(`Removed: ${outPath}`);
+    });
+
+    test('should convert the feature files again as they change with --watch', async () => {
+      const root = fs.realpathSync(tempDir);
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(root, 'logout.feature'), 'Feature: Logout');
+      console.log = () => {};
+      const waitFor = async (check) => {
+        for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(check()).toBe(true);
+      };
+
+      const watcher = main(['--watch', '--index', 'root', root]);
+      try {
+        fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Sign in');
+        fs.writeFileSync(path.join(root, 'refund.feature'), 'Feature: Refund');
+        fs.unlinkSync(path.join(root, 'logout.feature'));
+        fs.writeFileSync(path.join(root, 'guide.md'), 'See [login](login.feature)');
+
+        await waitFor(() => fs.existsSync(path.join(root, 'refund.generated.md')) && !fs.existsSync(path.join(root, 'logout.generated.md')));
+        await waitFor(() => fs.readFileSync(path.join(root, 'guide.md'), 'utf8') === 'See [login](login.generated.md)');
+        expect(fs.readFileSync(path.join(root, 'login.generated.md'), 'utf8')).toContain('>Sign in</span>');
+        const index = fs.readFileSync(path.join(root, 'index.md'), 'utf8');
+        expect(index).toContain('2 features');
+        expect(index).toContain('refund.generated.md');
+        expect(index).not.toContain('logout.generated.md');
+      } finally {
+        watcher.close();
+      }
+    });
+
+    test('should fix the references to feature files that are added with --watch', async () => {
+      const root = fs.realpathSync(tempDir);
+      fs.mkdirSync(path.join(root, 'docs'));
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(root, 'docs', 'guide.md'), 'See [refund](../refund.feature)');
+      console.log = () => {};
+      const originalConsoleWarn = console.warn;
+      console.warn = () => {};
+      const waitFor = async (check) => {
+        for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(check()).toBe(true);
+      };
+
+      const watcher = main(['--watch', root]);
+      try {
+        fs.writeFileSync(path.join(root, 'refund.feature'), 'Feature: Refund');
+
+        await waitFor(() => fs.readFileSync(path.join(root, 'docs', 'guide.md'), 'utf8') === 'See [refund](../refund.generated.md)');
+      } finally {
+        watcher.close();
+        console.warn = originalConsoleWarn;
+      }
+    });
+
+    test('should skip broken symbolic links and excluded directories when fixing references with --watch', async () => {
+      const root = fs.realpathSync(tempDir);
+      fs.mkdirSync(path.join(root, 'node_modules'));
+      fs.writeFileSync(path.join(root, 'node_modules', 'readme.md'), 'See [refund](../refund.feature)');
+      fs.writeFileSync(path.join(root, 'guide.md'), 'See [refund](refund.feature)');
+      fs.symlinkSync(path.join(root, 'nonexistent'), path.join(root, 'broken-link'));
+      fs.symlinkSync('..', path.join(root, 'node_modules', 'loop'));
+      const errors = [];
+      console.error = (message) => errors.push(message);
+      console.log = () => {};
+      const waitFor = async (check) => {
+        for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(check()).toBe(true);
+      };
+
+      const watcher = main(['--watch', root]);
+      try {
+        fs.writeFileSync(path.join(root, 'refund.feature'), 'Feature: Refund');
+
+        await waitFor(() => fs.readFileSync(path.join(root, 'guide.md'), 'utf8') === 'See [refund](refund.generated.md)');
+        expect(fs.readFileSync(path.join(root, 'node_modules', 'readme.md'), 'utf8')).toBe('See [refund](../refund.feature)');
+        expect(errors).toEqual([]);
+      } finally {
+        watcher.close();
+      }
+    });
+
+    test('should only show the references that would be fixed with --watch --dry-run', async () => {
+      const root = fs.realpathSync(tempDir);
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      console.log = () => {};
+      main([root]);
+      const messages = [];
+      console.log = (message) => messages.push(message);
+      const waitFor = async (check) => {
+        for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        expect(check()).toBe(true);
+      };
+
+      const watcher = main(['--watch', '--dry-run', root]);
+      try {
+        fs.writeFileSync(path.join(root, 'doc.md'), 'See [login](login.feature)');
+
+        await waitFor(() => messages.some(message => message.includes('+See [login](login.generated.md)')));
+        expect(fs.readFileSync(path.join(root, 'doc.md'), 'utf8')).toBe('See [login](login.feature)');
+        expect(messages.some(message => message.startsWith('Updated:'))).toBe(false);
+      } finally {
+        watcher.close();
+      }
+    });
+
+    test('should leave generated files alone when their content does not change', () => {
+      const featurePath = path.join(tempDir, 'same.feature');
+      const outPath = path.join(tempDir, 'same.generated.md');
+      fs.writeFileSync(featurePath, 'Feature: Same');
+      let messages = [];
+      console.log = (message) => messages.push(message);
+      main([tempDir]);
+      expect(messages).toContain('1 feature files converted.');
+      const past = new Date('2020-01-01T00:00:00Z');
+      fs.utimesSync(outPath, past, past);
+
+      messages = [];
+      main([tempDir]);
+      expect(fs.statSync(outPath).mtime).toEqual(past);
+      expect(messages).toContain('1 feature files already up to date.');
+      expect(messages.some(message => message.includes('converted.'))).toBe(false);
+
+      messages = [];
+      main(['--check', tempDir]);
+      expect(messages).toEqual(['1 feature files already up to date.']);
+      expect(process.exitCode).toBeFalsy();
+    });
+
+    test('should skip the feature files that did not change with --cache', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(root);
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(root, 'logout.feature'), 'Feature: Logout');
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      const cachePath = path.join(tempDir, 'cache.json');
+      fs.writeFileSync(configPath, JSON.stringify({ cacheFile: cachePath, indexPages: 'root' }));
+      let messages = [];
+      console.log = (message) => messages.push(message);
+
+      main(['--config', configPath, '--cache', root]);
+      expect(messages).toContain('2 feature files converted.');
+      expect(Object.keys(JSON.parse(fs.readFileSync(cachePath, 'utf8')).entries)).toEqual(['specs/login.feature', 'specs/logout.feature']);
+
+      messages = [];
+      fs.writeFileSync(path.join(root, 'logout.feature'), 'Feature: Sign out');
+      main(['--config', configPath, '--cache', root]);
+
+      expect(messages).toContain('1 feature files converted.');
+      expect(messages).toContain('1 feature files unchanged since the last run.');
+      const index = fs.readFileSync(path.join(root, 'index.md'), 'utf8');
+      expect(index).toContain('>Login</span>');
+      expect(index).toContain('>Sign out</span>');
+    });
+
+    test('should remove the pages of removed feature files with --clean', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(root);
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(root, 'logout.feature'), 'Feature: Logout');
+      fs.writeFileSync(path.join(root, 'manual.generated.md'), '# Written by hand');
+      const outDir = path.join(tempDir, 'docs');
+      let messages = [];
+      console.log = (message) => messages.push(message);
+      main(['--out-dir', outDir, root]);
+      fs.renameSync(path.join(root, 'logout.feature'), path.join(root, 'sign-out.feature'));
+
+      messages = [];
+      main(['--clean', '--dry-run', '--out-dir', outDir, root]);
+      expect(messages).toContain(`Would remove: ${path.join(outDir, 'logout.generated.md')}`);
+      expect(messages).toContain('1 orphaned pages would be removed.');
+      expect(fs.existsSync(path.join(outDir, 'logout.generated.md'))).toBe(true);
+
+      main(['--clean', '--out-dir', outDir, root]);
+      expect(fs.readdirSync(outDir).sort()).toEqual(['login.generated.md', 'sign-out.generated.md']);
+      expect(fs.existsSync(path.join(root, 'manual.generated.md'))).toBe(true);
+    });
+
+    test('should not report the overview pages that did not change with --check', () => {
+      fs.writeFileSync(path.join(tempDir, 'login.feature'), 'Feature: Login\n  @smoke\n  Scenario: Log in\n    Given a user');
+      let messages = [];
+      console.log = (message) => messages.push(message);
+      main(['--index', 'root', '--tag-index', '--nav', 'mkdocs', tempDir]);
+      expect(messages).toContain('1 index pages written.');
+      expect(messages).toContain('1 tag index pages written.');
+
+      messages = [];
+      main(['--index', 'root', '--tag-index', '--nav', 'mkdocs', '--check', tempDir]);
+
+      expect(messages).toEqual(['1 feature files already up to date.']);
+      expect(process.exitCode).toBeFalsy();
+    });
+
+    test('should keep the index pages with --clean when the pages are named like them', () => {
+      fs.writeFileSync(path.join(tempDir, 'login.feature'), 'Feature: Login');
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ outputTemplate: '{dir}/{name}.md', indexPages: 'root' }));
+      const messages = [];
+      console.log = (message) => messages.push(message);
+      main(['--config', configPath, tempDir]);
+
+      main(['--config', configPath, '--clean', tempDir]);
+      expect(messages).toContain('0 orphaned pages removed.');
+      expect(fs.existsSync(path.join(tempDir, 'index.md'))).toBe(true);
+
+      main(['--config', configPath, '--check', '--clean', tempDir]);
+      expect(process.exitCode).toBeFalsy();
+    });
+
+    test('should show the differences and fail with --check when the generated files are stale', () => {
+      const root = path.join(tempDir, 'specs');
+      fs.mkdirSync(root);
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login\n  Scenario: Log in\n    Given a user');
+      const outPath = path.join(root, 'login.generated.md');
+      let messages = [];
+      console.log = (message) => messages.push(message);
+      main(['--quiet', root]);
+      const generated = fs.readFileSync(outPath, 'utf8');
+
+      main(['--check', '--quiet', root]);
+      expect(messages).toEqual([]);
+      expect(process.exitCode).toBeFalsy();
+
+      fs.writeFileSync(path.join(root, 'login.feature'), 'Feature: Login\n  Scenario: Log in\n    Given a registered user');
+      fs.writeFileSync(path.join(root, 'logout.feature'), 'Feature: Logout');
+      main(['--check', '--quiet', root]);
+
+      const relativePath = path.relative(process.cwd(), outPath).split(path.sep).join('/');
+      expect(messages).toHaveLength(2);
+      expect(messages[0]).toContain(`--- ${relativePath}\n+++ ${relativePath} (generated)\n@@ `);
+      expect(messages[0]).toContain('\n-* Given a user\n+* Given a registered user');
+      expect(messages[1]).toContain('--- /dev/null\n');
+      expect(messages[1]).toContain('\n+# Feature: ');
+      expect(process.exitCode).toBe(1);
+      expect(fs.readFileSync(outPath, 'utf8')).toBe(generated);
+      expect(fs.existsSync(path.join(root, 'logout.generated.md'))).toBe(false);
+    });
+
+    test('should report the issues in the feature files with --lint without converting them', () => {
+      fs.writeFileSync(path.join(tempDir, 'login.feature'), 'Feature: Login\n  Scenario: Log in\n    Given a user\n  Scenario: Log in\n    Given a user');
+      fs.writeFileSync(path.join(tempDir, 'broken.feature'), 'Feature: Broken\n  Scenario: Broken\n    Given a step\n  Thn nothing');
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      main(['--lint', '--lint-format', 'json', tempDir]);
+
+      const { issues } = JSON.parse(messages.join('\n'));
+      const brokenFile = path.relative(process.cwd(), path.join(tempDir, 'broken.feature')).split(path.sep).join('/');
+      const loginFile = path.relative(process.cwd(), path.join(tempDir, 'login.feature')).split(path.sep).join('/');
+      expect(issues.map(({ file, line, rule }) => `${file}:${line}:${rule}`)).toEqual([
+        `${brokenFile}:4:parseError`,
+        `${loginFile}:1:missingDescription`,
+        `${loginFile}:4:duplicateScenarioName`,
+      ]);
+      expect(process.exitCode).toBe(1);
+      expect(fs.existsSync(path.join(tempDir, 'login.generated.md'))).toBe(false);
+    });
+
+    test('should reject an unknown --lint-format', () => {
+      main(['--lint', '--lint-format', 'xml', tempDir]);
+
+      expect(process.exitCode).toBe(2);
+    });
+
+    test('should not allow --check together with --watch', () => {
+      main(['--check', '--watch', tempDir]);
+
+      expect(process.exitCode).toBe(2);
+    });
+
+    test('should not log progress with --quiet', () => {
+      fs.writeFileSync(path.join(tempDir, 'quiet.feature'), 'Feature: Quiet');
+      const messages = [];
+      console.log = (message) => messages.push(message);
+
+      main(['--quiet', tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'quiet.generated.md'))).toBe(true);
+      expect(messages).toHaveLength(0);
+    });
+
+    test('should apply --include and --exclude to every root', () => {
+      fs.mkdirSync(path.join(tempDir, 'specs', 'wip'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'specs', 'done.feature'), 'Feature: Done');
+      fs.writeFileSync(path.join(tempDir, 'specs', 'wip', 'draft.feature'), 'Feature: Draft');
+      fs.writeFileSync(path.join(tempDir, 'other.feature'), 'Feature: Other');
+
+      main(['--include', 'specs/**', '--exclude', '**/wip/**', tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'specs', 'done.generated.md'))).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'specs', 'wip', 'draft.generated.md'))).toBe(false);
+      expect(fs.existsSync(path.join(tempDir, 'other.generated.md'))).toBe(false);
+    });
+
+    test('should use the output suffix from the configuration file', () => {
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ outputSuffix: '.feature.md' }));
+      fs.writeFileSync(path.join(tempDir, 'configured.feature'), 'Feature: Configured');
+
+      main(['--config', configPath, tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'configured.feature.md'))).toBe(true);
+    });
+
+    test('should set exit code 2 for an invalid configuration file', () => {
+      const configPath = path.join(tempDir, 'feature2md.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ unknown: true }));
+      fs.writeFileSync(path.join(tempDir, 'invalid.feature'), 'Feature: Invalid');
+
+      main(['--config', configPath, tempDir]);
+
+      expect(process.exitCode).toBe(2);
+      expect(fs.existsSync(path.join(tempDir, 'invalid.generated.md'))).toBe(false);
+    });
+
+    test('should convert the other files when one cannot be parsed', () => {
+      fs.writeFileSync(path.join(tempDir, 'a-broken.feature'), 'Feature: Broken\n  Scenario: Fine\n    Given something\n  Not Gherkin');
+      fs.writeFileSync(path.join(tempDir, 'b-fine.feature'), 'Feature: Fine');
+      const errors = [];
+      console.error = (message) => errors.push(message);
+
+      main([tempDir]);
+
+      expect(fs.existsSync(path.join(tempDir, 'b-fine.generated.md'))).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'a-broken.generated.md'))).toBe(false);
+      expect(errors[0].startsWith(`${path.join(tempDir, 'a-broken.feature')}:4:3: expected: `)).toBe(true);
+      expect(errors).toContain('1 feature file(s) could not be converted:');
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('should write a placeholder page with --placeholder-on-error', () => {
+      fs.writeFileSync(path.join(tempDir, 'broken.feature'), 'Feature: Broken\n  Scenario: Fine\n    Given something\n  Not Gherkin');
+
+      main(['--placeholder-on-error', tempDir]);
+
+      const placeholder = fs.readFileSync(path.join(tempDir, 'broken.generated.md'), 'utf8');
+      expect(placeholder).toContain('This page could not be generated because broken.feature contains errors:');
+      expect(placeholder).toContain('* Line 4, column 3: expected: ');
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('should set a non-zero exit code for a missing root', () => {
+      main([path.join(tempDir, 'does-not-exist')]);
+
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('should set exit code 2 for invalid arguments', () => {
+      main(['--unknown']);
+
+      expect(process.exitCode).toBe(2);
+    });
+  });
 });
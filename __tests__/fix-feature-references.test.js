@@ -3,8 +3,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { 
   findMarkdownFiles, 
-  replaceFeatureReferences 
+  replaceFeatureReferences,
+  parseCommandLine,
+  main
 } from '../fix-feature-references.js';
+import { resolveConfig } from '../config.js';
+import { main as convertFeatures } from '../feature2markdown.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -104,271 +108,319 @@ describe('fix-feature-references.js', () => {
     });
   });
 
-  describe('replaceFeatureReferences', () => {
-    test('should replace .feature references with .generated.md', () => {
-      const content = `# Test Documentation
-
-This links to [login.feature](features/login.feature) for authentication.
-
-Also see signup.feature and admin.feature for more details.`;
+  describe('parseCommandLine', () => {
+    test('should read the naming to migrate from as a suffix or a template', () => {
+      expect(parseCommandLine([])).toEqual({ roots: [process.cwd()], configPath: undefined, outDir: undefined, migrateFrom: null, check: false, help: false });
+      expect(parseCommandLine(['--migrate-from', '.feature.md']).migrateFrom.outputSuffix).toBe('.feature.md');
+      expect(parseCommandLine(['--migrate-from', '{dir}/{name}.md']).migrateFrom.outputTemplate).toBe('{dir}/{name}.md');
+      expect(() => parseCommandLine(['--migrate-from', '.html'])).toThrow('Invalid value for "outputSuffix" in --migrate-from');
+    });
+  });
 
-      const expectedContent = `# Test Documentation
+  describe('replaceFeatureReferences', () => {
+    // Create a feature file and, when converted, its generated page
+    const createFeature = (relativePath, converted = true) => {
+      const featurePath = path.join(tempDir, relativePath);
+      fs.mkdirSync(path.dirname(featurePath), { recursive: true });
+      fs.writeFileSync(featurePath, 'Feature: Test');
+      if (converted) {
+        fs.writeFileSync(featurePath.replace(/\.feature$/, '.generated.md'), '# Feature: Test\n');
+      }
+    };
+
+    // Write a file in the temporary directory, replace its references and return the new content
+    const replaceIn = (fileName, content) => {
+      const testFile = path.join(tempDir, fileName);
+      fs.mkdirSync(path.dirname(testFile), { recursive: true });
+      fs.writeFileSync(testFile, content);
+      replaceFeatureReferences(testFile, { baseDir: tempDir });
+      return fs.readFileSync(testFile, 'utf8');
+    };
 
-This links to [login.generated.md](features/login.generated.md) for authentication.
+    let originalConsoleWarn;
+    let warnings;
 
-Also see signup.generated.md and admin.generated.md for more details.`;
+    beforeEach(() => {
+      originalConsoleWarn = console.warn;
+      warnings = [];
+      console.warn = (message) => warnings.push(message);
+    });
 
-      const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+    afterEach(() => {
+      console.warn = originalConsoleWarn;
+    });
 
-      replaceFeatureReferences(testFile);
+    test('should replace the targets of links, images and reference definitions', () => {
+      createFeature('features/login.feature');
+      createFeature('features/my signup.feature');
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(expectedContent);
-    });
+      const result = replaceIn('test.md', `# Test Documentation
 
-    test('should not replace .generated.md references (already converted)', () => {
-      const content = `# Test Documentation
+This links to [login.feature](features/login.feature "Log in") for authentication.
+![Flow](<features/my signup.feature>) and [signup](features/my%20signup.feature).
 
-This already links to login.generated.md and signup.generated.md.`;
+[login]: ./features/login.feature`);
 
-      const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+      expect(result).toBe(`# Test Documentation
 
-      replaceFeatureReferences(testFile);
+This links to [login.feature](features/login.generated.md "Log in") for authentication.
+![Flow](<features/my signup.generated.md>) and [signup](features/my%20signup.generated.md).
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(content); // Should remain unchanged
+[login]: ./features/login.generated.md`);
     });
 
-    test('should not replace .feature.yml references', () => {
-      const content = `# Test Documentation
+    test('should resolve the targets relative to the file they are in', () => {
+      createFeature('features/admin.feature');
 
-This links to config.feature.yml which should not be changed.
-But this login.feature should be changed to login.generated.md.`;
-
-      const expectedContent = `# Test Documentation
+      expect(replaceIn('docs/guide.md', 'See [admin](../features/admin.feature) or [the root](/features/admin.feature).'))
+        .toBe('See [admin](../features/admin.generated.md) or [the root](/features/admin.generated.md).');
+    });
 
-This links to config.feature.yml which should not be changed.
-But this login.generated.md should be changed to login.generated.md.`;
+    test('should leave prose, URLs, code and other files alone', () => {
+      createFeature('login.feature');
+      const content = `# Feature References
 
-      const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+Check out login.feature, this feature. And [the API](https://example.com/docs/login.feature).
+Also \`[login](login.feature)\` and [the config](login.feature.yml).
 
-      replaceFeatureReferences(testFile);
+\`\`\`markdown
+[login](login.feature)
+\`\`\``;
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(expectedContent);
+      expect(replaceIn('test.md', content)).toBe(content);
+      expect(warnings).toEqual([]);
     });
 
-    test('should handle multiple .feature references on the same line', () => {
-      const content = `See login.feature and signup.feature and admin.feature`;
-      const expectedContent = `See login.generated.md and signup.generated.md and admin.generated.md`;
-
+    test('should report references to feature files that were not converted or do not exist', () => {
+      createFeature('draft.feature', false);
       const testFile = path.join(tempDir, 'test.md');
+      const content = 'See [draft](draft.feature)\nand [gone](gone.feature#Scenario).';
       fs.writeFileSync(testFile, content);
 
-      replaceFeatureReferences(testFile);
-
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(expectedContent);
+      const result = replaceFeatureReferences(testFile);
+
+      expect(result).toEqual({
+        updated: false,
+        dangling: [
+          { line: 1, target: 'draft.feature', reason: 'the feature file has no generated page' },
+          { line: 2, target: 'gone.feature#Scenario', reason: 'the feature file does not exist' },
+        ],
+      });
+      expect(warnings).toEqual([
+        `${testFile}:1: draft.feature: the feature file has no generated page`,
+        `${testFile}:2: gone.feature#Scenario: the feature file does not exist`,
+      ]);
+      expect(fs.readFileSync(testFile, 'utf8')).toBe(content);
     });
 
-    test('should handle .feature references in various contexts', () => {
-      const content = `# Feature References
+    describe('references to a scenario', () => {
+      beforeEach(() => {
+        fs.writeFileSync(path.join(tempDir, 'login.feature'), 'Feature: Login');
+        fs.writeFileSync(path.join(tempDir, 'login.generated.md'), `# Feature: <a id="login" data-line="1"></a><span class="bdd-badge-feature" data-feature="Login">Login</span>
+
+## Rule: <a id="passwords" data-line="3"></a>Passwords
+
+### Scenario: <a id="log-in-with-a-password" data-line="5"></a><span class="bdd-badge-scenario" data-feature="Login" data-scenario="Log in with a password">Log in with a password</span>
+* Given a user
+
+### Scenario Outline: <a id="log-in-as-role" data-line="9"></a>Log in as &lt;role&gt;
+* Given a &lt;role&gt;
+`);
+      });
+
+      test('should point scenario names and lines at the anchor of the heading', () => {
+        const result = replaceIn('test.md', `[password](<login.feature#Log in with a password>)
+[password](login.feature#log%20in%20with%20a%20PASSWORD)
+[outline](login.feature#Scenario%20Outline:%20Log%20in%20as%20%3Crole%3E)
+[anchor](login.feature#passwords)
+[line](login.feature:6) and [before](login.feature:4) and [header](login.feature:1)`);
+
+        expect(result).toBe(`[password](<login.generated.md#log-in-with-a-password>)
+[password](login.generated.md#log-in-with-a-password)
+[outline](login.generated.md#log-in-as-role)
+[anchor](login.generated.md#passwords)
+[line](login.generated.md#log-in-with-a-password) and [before](login.generated.md#passwords) and [header](login.generated.md#login)`);
+        expect(warnings).toEqual([]);
+      });
+
+      test('should point scenario references in YAML at the anchor of the heading', () => {
+        expect(replaceIn('mkdocs.yml', 'nav:\n  - Password: login.feature#Log in with a password\n  - Outline: login.feature:10'))
+          .toBe('nav:\n  - Password: login.generated.md#log-in-with-a-password\n  - Outline: login.generated.md#log-in-as-role');
+      });
+
+      test('should report references to scenarios that are not in the generated page', () => {
+        fs.writeFileSync(path.join(tempDir, 'broken.feature'), 'Feature broken');
+        fs.writeFileSync(path.join(tempDir, 'broken.generated.md'), '# broken.feature\n\nThis page could not be generated.\n');
+        const content = '[gone](login.feature#Log%20out)\n[line](broken.feature:3)';
+
+        expect(replaceIn('test.md', content)).toBe(content);
+        expect(warnings).toEqual([
+          `${path.join(tempDir, 'test.md')}:1: login.feature#Log%20out: the generated page has no heading "Log%20out"`,
+          `${path.join(tempDir, 'test.md')}:2: broken.feature:3: the generated page has no headings to link to`,
+        ]);
+      });
+    });
 
-- [Login Feature](./features/login.feature)
-- Check out user-management.feature
-- See path/to/complex-feature-name.feature
-- Also nested/deep/folder/test.feature
-- URL: https://example.com/docs/api.feature
-- File: ../parent/folder/feature.feature`;
+    test('should link to the pages named by the output template', () => {
+      fs.mkdirSync(path.join(tempDir, 'specs'));
+      fs.mkdirSync(path.join(tempDir, 'docs', 'specs'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'specs', 'login.feature'), 'Feature: Login');
+      fs.writeFileSync(path.join(tempDir, 'docs', 'specs', 'login.md'), '# Login');
+      const testFile = path.join(tempDir, 'specs', 'README.md');
+      fs.writeFileSync(testFile, 'See [login](./login.feature).');
 
-      const expectedContent = `# Feature References
+      replaceFeatureReferences(testFile, { baseDir: tempDir, config: resolveConfig({ outputTemplate: 'docs/{dir}/{name}.md' }) });
 
-- [Login Feature](./features/login.generated.md)
-- Check out user-management.generated.md
-- See path/to/complex-feature-name.generated.md
-- Also nested/deep/folder/test.generated.md
-- URL: https://example.com/docs/api.generated.md
-- File: ../parent/folder/feature.generated.md`;
+      expect(fs.readFileSync(testFile, 'utf8')).toBe('See [login](../docs/specs/login.md).');
+    });
 
+    test('should rewrite the links to pages with the old names when migrating', () => {
+      createFeature('features/login.feature', false);
+      createFeature('features/gone.feature', false);
+      fs.writeFileSync(path.join(tempDir, 'features', 'login.feature.md'), '# Login');
       const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+      fs.writeFileSync(testFile, '[login](features/login.feature.md#log-in) [gone](features/gone.feature.md) [other](other.feature.md) [readme](README.md)');
 
-      replaceFeatureReferences(testFile);
+      replaceFeatureReferences(testFile, { baseDir: tempDir, migrateFrom: resolveConfig({ outputSuffix: '.feature.md' }) });
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(expectedContent);
+      expect(fs.readFileSync(testFile, 'utf8')).toBe('[login](features/login.generated.md#log-in) [gone](features/gone.generated.md) [other](other.feature.md) [readme](README.md)');
     });
 
-    test('should not modify file if no changes are needed', () => {
-      const content = `# No Feature References
-
-This file has no .feature references to replace.
-It only mentions "feature" as a word.`;
-
+    test('should only show the changes with check', () => {
+      createFeature('login.feature');
       const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+      fs.writeFileSync(testFile, '# Guide\n\nSee [login](login.feature).\n');
+      const messages = [];
+      console.log = (message) => messages.push(message);
 
-      // Get original file stats
-      const statsBefore = fs.statSync(testFile);
-      
-      replaceFeatureReferences(testFile);
+      const result = replaceFeatureReferences(testFile, { baseDir: tempDir, check: true });
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(content);
+      expect(result).toEqual({ updated: true, dangling: [] });
+      expect(messages).toEqual(['--- test.md\n+++ test.md (fixed)\n@@ -1,3 +1,3 @@\n # Guide\n \n-See [login](login.feature).\n+See [login](login.generated.md).']);
+      expect(fs.readFileSync(testFile, 'utf8')).toBe('# Guide\n\nSee [login](login.feature).\n');
     });
 
-    test('should handle empty files', () => {
-      const content = '';
-      const testFile = path.join(tempDir, 'empty.md');
-      fs.writeFileSync(testFile, content);
+    test('should not replace .generated.md references (already converted)', () => {
+      const content = `# Test Documentation
 
-      replaceFeatureReferences(testFile);
+This already links to [login](login.generated.md) and [signup](signup.generated.md).`;
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(content);
+      expect(replaceIn('test.md', content)).toBe(content);
     });
 
-    test('should handle YAML files with feature references', () => {
-      const content = `# YAML Configuration
+    test('should replace the YAML values that are a path to a feature file', () => {
+      createFeature('login.feature');
+      createFeature('signup.feature');
+
+      const result = replaceIn('mkdocs.yml', `# YAML Configuration
 features:
   - login.feature
-  - signup.feature
-docs: "See user-guide.feature for details"`;
+  - "signup.feature" # quoted
+nav:
+  - Login: login.feature
+docs: "See login.feature for details"
+url: https://example.com/login.feature`);
 
-      const expectedContent = `# YAML Configuration
+      expect(result).toBe(`# YAML Configuration
 features:
   - login.generated.md
-  - signup.generated.md
-docs: "See user-guide.generated.md for details"`;
+  - "signup.generated.md" # quoted
+nav:
+  - Login: login.generated.md
+docs: "See login.feature for details"
+url: https://example.com/login.feature`);
+    });
 
-      const testFile = path.join(tempDir, 'config.yml');
-      fs.writeFileSync(testFile, content);
+    test('should handle empty files', () => {
+      expect(replaceIn('empty.md', '')).toBe('');
+    });
 
-      replaceFeatureReferences(testFile);
+    test('should leave pages generated by feature2markdown alone', () => {
+      createFeature('login.feature');
+      const content = `<!-- Generated by feature2markdown from login.feature. Changes are overwritten. -->
+# Feature: <span class="bdd-badge-feature" data-feature="Login" data-feature-file="specs/login.feature">Login</span>
+[login](login.feature)`;
 
-      const result = fs.readFileSync(testFile, 'utf8');
-      expect(result).toBe(expectedContent);
+      expect(replaceIn('login.generated.md', content)).toBe(content);
     });
 
     test('should log when file is updated', () => {
-      const content = `Reference to login.feature`;
-      const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+      createFeature('login.feature');
+      const messages = [];
+      console.log = (message) => messages.push(message);
 
-      // Mock console.log to capture calls
-      const mockLog = () => {};
-      const originalLog = console.log;
-      let logCalled = false;
-      console.log = (message) => {
-        if (message.includes('Updated:')) {
-          logCalled = true;
-        }
-      };
+      replaceIn('test.md', 'Reference to [login](login.feature)');
+      replaceIn('other.md', 'No feature references here');
 
-      replaceFeatureReferences(testFile);
+      expect(messages).toEqual([`Updated: ${path.join(tempDir, 'test.md')}`]);
+    });
+  });
 
-      expect(logCalled).toBe(true);
+  describe('main', () => {
+    let originalCwd;
+    let originalConsoleWarn;
+
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      process.chdir(tempDir);
+      originalConsoleWarn = console.warn;
+      console.warn = () => {};
+      fs.mkdirSync('specs');
+      fs.writeFileSync(path.join('specs', 'login.feature'), 'Feature: Login\n  Scenario: Log in\n    Given a user');
+      fs.writeFileSync('README.md', 'See [login](specs/login.feature#Log%20in).');
+    });
 
-      // Restore console.log
-      console.log = originalLog;
+    afterEach(() => {
+      process.chdir(originalCwd);
+      console.warn = originalConsoleWarn;
     });
 
-    test('should not log when file is not updated', () => {
-      const content = `No feature references here`;
-      const testFile = path.join(tempDir, 'test.md');
-      fs.writeFileSync(testFile, content);
+    test('should link to the pages of an output template below the roots given to feature2markdown', () => {
+      fs.writeFileSync('feature2md.config.json', JSON.stringify({ outputTemplate: 'generated/{dir}/{name}.md' }));
 
-      // Mock console.log to capture calls
-      let logCalled = false;
-      const originalLog = console.log;
-      console.log = (message) => {
-        if (message.includes('Updated:')) {
-          logCalled = true;
-        }
-      };
+      convertFeatures(['specs']);
+      main(['specs']);
 
-      replaceFeatureReferences(testFile);
+      expect(fs.existsSync(path.join('specs', 'generated', 'login.md'))).toBe(true);
+      expect(fs.readFileSync('README.md', 'utf8')).toBe('See [login](specs/generated/login.md#log-in).');
+    });
+
+    test('should link to the pages in the output directory given to feature2markdown', () => {
+      fs.writeFileSync('feature2md.config.json', JSON.stringify({ outputSuffix: '.md' }));
 
-      expect(logCalled).toBe(false);
+      convertFeatures(['--out-dir', 'docs/specs', 'specs']);
+      main(['--out-dir', 'docs/specs', 'specs']);
 
-      // Restore console.log
-      console.log = originalLog;
+      expect(fs.existsSync(path.join('docs', 'specs', 'login.md'))).toBe(true);
+      expect(fs.readFileSync('README.md', 'utf8')).toBe('See [login](docs/specs/login.md#log-in).');
     });
   });
 
   describe('Integration tests', () => {
     test('should process multiple files in a directory structure', () => {
-      // Create a complex directory structure
       const docsDir = path.join(tempDir, 'docs');
       const featuresDir = path.join(tempDir, 'features');
       fs.mkdirSync(docsDir, { recursive: true });
       fs.mkdirSync(featuresDir, { recursive: true });
-
-      // Create test files
-      const readmeContent = `# Project README
-
-See the following features:
-- [Login](features/login.feature)
-- [Signup](features/signup.feature)`;
-
-      const docsContent = `# Documentation
-
-Reference: ../features/admin.feature
-Also see user-management.feature`;
-
-      const configContent = `# Config
-features:
-  - login.feature
-  - admin.feature`;
-
-      fs.writeFileSync(path.join(tempDir, 'README.md'), readmeContent);
-      fs.writeFileSync(path.join(docsDir, 'guide.md'), docsContent);
-      fs.writeFileSync(path.join(featuresDir, 'config.yml'), configContent);
-
-      // Find and process all files
-      const allFiles = findMarkdownFiles(tempDir);
+      for (const name of ['login', 'admin']) {
+        fs.writeFileSync(path.join(featuresDir, `${name}.feature`), `Feature: ${name}`);
+        fs.writeFileSync(path.join(featuresDir, `${name}.generated.md`), `# ${name}`);
+      }
+
+      fs.writeFileSync(path.join(tempDir, 'README.md'), '- [Login](features/login.feature)\n- [Signup](features/signup.feature)');
+      fs.writeFileSync(path.join(docsDir, 'guide.md'), 'Reference: [admin](../features/admin.feature)');
+      fs.writeFileSync(path.join(featuresDir, 'config.yml'), 'features:\n  - login.feature\n  - admin.feature');
+      const originalConsoleWarn = console.warn;
+      console.warn = () => {};
+
+      const allFiles = findMarkdownFiles(tempDir).filter(filePath => !filePath.endsWith('.generated.md'));
       expect(allFiles).toHaveLength(3);
+      allFiles.forEach(filePath => replaceFeatureReferences(filePath, { baseDir: tempDir }));
+      console.warn = originalConsoleWarn;
 
-      allFiles.forEach(replaceFeatureReferences);
-
-      // Check results
-      const updatedReadme = fs.readFileSync(path.join(tempDir, 'README.md'), 'utf8');
-      expect(updatedReadme).toContain('login.generated.md');
-      expect(updatedReadme).toContain('signup.generated.md');
-
-      const updatedDocs = fs.readFileSync(path.join(docsDir, 'guide.md'), 'utf8');
-      expect(updatedDocs).toContain('admin.generated.md');
-      expect(updatedDocs).toContain('user-management.generated.md');
-
-      const updatedConfig = fs.readFileSync(path.join(featuresDir, 'config.yml'), 'utf8');
-      expect(updatedConfig).toContain('login.generated.md');
-      expect(updatedConfig).toContain('admin.generated.md');
-    });
-
-    test('should handle edge case with mixed file types', () => {
-      const mdContent = `# Markdown
-Link to test.feature`;
-
-      const yamlContent = `# YAML
-feature: test.feature`;
-
-      const ymlContent = `# YML  
-ref: test.feature`;
-
-      fs.writeFileSync(path.join(tempDir, 'test.md'), mdContent);
-      fs.writeFileSync(path.join(tempDir, 'test.yaml'), yamlContent);
-      fs.writeFileSync(path.join(tempDir, 'test.yml'), ymlContent);
-
-      const allFiles = findMarkdownFiles(tempDir);
-      allFiles.forEach(replaceFeatureReferences);
-
-      // All should be updated
-      expect(fs.readFileSync(path.join(tempDir, 'test.md'), 'utf8')).toContain('test.generated.md');
-      expect(fs.readFileSync(path.join(tempDir, 'test.yaml'), 'utf8')).toContain('test.generated.md');
-      expect(fs.readFileSync(path.join(tempDir, 'test.yml'), 'utf8')).toContain('test.generated.md');
+      expect(fs.readFileSync(path.join(tempDir, 'README.md'), 'utf8')).toBe('- [Login](features/login.generated.md)\n- [Signup](features/signup.feature)');
+      expect(fs.readFileSync(path.join(docsDir, 'guide.md'), 'utf8')).toBe('Reference: [admin](../features/admin.generated.md)');
+      expect(fs.readFileSync(path.join(featuresDir, 'config.yml'), 'utf8')).toBe('features:\n  - login.generated.md\n  - admin.generated.md');
     });
   });
 });
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  GENERATED_MARKER,
+  isGeneratedFile,
+  getIndexPages,
+  indexPageToMarkdown,
+  tagIndexToMarkdown
+} from '../index-pages.js';
+import { DEFAULT_CONFIG } from '../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('index-pages.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.mkdtempSync(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(() => {
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  const outRoot = path.resolve('docs');
+  const entry = (outPath, title, extra = {}) => ({
+    outPath: path.join(outRoot, outPath),
+    title,
+    description: '',
+    tags: [],
+    scenarios: 1,
+    rules: 0,
+    ...extra,
+  });
+  const entries = [
+    entry('payments/refunds/refund.generated.md', 'Refund', { description: 'Money | back\n  within a week', tags: ['@smoke', '@api'], scenarios: 3, rules: 2 }),
+    entry('payments/pay.generated.md', 'Pay'),
+    entry('login.generated.md', 'Login'),
+  ];
+
+  describe('getIndexPages', () => {
+    test('should write a single page at the root', () => {
+      const pages = getIndexPages(entries, { outRoot, mode: 'root' });
+
+      expect(pages).toEqual([{ indexPath: path.join(outRoot, 'index.md'), folder: '', entries }]);
+    });
+
+    test('should write a page in every folder with features below it', () => {
+      const pages = getIndexPages(entries, { outRoot, mode: 'directory', fileName: 'README.md' });
+
+      expect(pages.map(page => [page.indexPath, page.folder, page.entries.length])).toEqual([
+        [path.join(outRoot, 'README.md'), '', 3],
+        [path.join(outRoot, 'payments', 'README.md'), 'payments', 2],
+        [path.join(outRoot, 'payments', 'refunds', 'README.md'), 'payments/refunds', 1],
+      ]);
+    });
+
+    test('should write no pages when disabled or without features', () => {
+      expect(getIndexPages(entries, { outRoot, mode: 'none' })).toEqual([]);
+      expect(getIndexPages([], { outRoot, mode: 'root' })).toEqual([]);
+    });
+  });
+
+  describe('indexPageToMarkdown', () => {
+    test('should list the features per folder', () => {
+      const markdown = indexPageToMarkdown(path.join(outRoot, 'index.md'), entries, { ...DEFAULT_CONFIG, latestBuildBadge: '' });
+
+      expect(markdown).toBe(`${GENERATED_MARKER}
+# Features
+
+3 features with 5 scenarios.
+
+| Feature | Description | Tags | Scenarios | Rules |
+| ------- | ----------- | ---- | --------: | ----: |
+| [Login](login.generated.md) |  |  | 1 | 0 |
+
+## payments
+
+| Feature | Description | Tags | Scenarios | Rules |
+| ------- | ----------- | ---- | --------: | ----: |
+| [Pay](payments/pay.generated.md) |  |  | 1 | 0 |
+
+## payments/refunds
+
+| Feature | Description | Tags | Scenarios | Rules |
+| ------- | ----------- | ---- | --------: | ----: |
+| [Refund](payments/refunds/refund.generated.md) | Money \\| back within a week | \`@smoke\` \`@api\` | 3 | 2 |
+`);
+    });
+
+    test('should link the folders to their own page and name the folder in the title', () => {
+      const config = { ...DEFAULT_CONFIG, indexPages: 'directory', indexTitle: 'Specifications' };
+      const markdown = indexPageToMarkdown(path.join(outRoot, 'payments', 'index.md'), entries.slice(0, 2), config, 'payments');
+
+      expect(markdown).toContain('# Specifications: payments\n');
+      expect(markdown).toContain(`${DEFAULT_CONFIG.latestBuildBadge}\n`);
+      expect(markdown).toContain('## [refunds](refunds/index.md)\n');
+      expect(markdown).toContain('| [Pay](pay.generated.md) |');
+    });
+
+    test('should encode the links', () => {
+      const markdown = indexPageToMarkdown(path.join(outRoot, 'index.md'), [entry('my specs/log in.generated.md', 'Log in')]);
+
+      expect(markdown).toContain('| [Log in](my%20specs/log%20in.generated.md) |');
+    });
+  });
+
+  describe('tagIndexToMarkdown', () => {
+    test('should list the scenarios per tag with links to their headings', () => {
+      const tagged = [
+        entry('payments/refund.generated.md', 'Refund', {
+          taggedScenarios: [
+            { title: 'Full refund', anchor: 'scenario-full-refund', tags: ['@payments', '@smoke'] },
+            { title: 'Refund &lt;amount&gt;', anchor: 'scenario-outline-refund-amount', tags: ['@payments'] },
+          ],
+        }),
+        entry('login.generated.md', 'Login', {
+          taggedScenarios: [{ title: 'Log in', anchor: 'scenario-log-in', tags: ['@smoke'] }],
+        }),
+        entry('logout.generated.md', 'Logout'),
+      ];
+
+      const markdown = tagIndexToMarkdown(path.join(outRoot, 'tags.md'), tagged, { ...DEFAULT_CONFIG, latestBuildBadge: '' });
+
+      expect(markdown).toBe(`${GENERATED_MARKER}
+# Tags
+
+2 tags.
+
+## @payments
+
+| Scenario | Feature |
+| -------- | ------- |
+| [Full refund](payments/refund.generated.md#scenario-full-refund) | [Refund](payments/refund.generated.md) |
+| [Refund &lt;amount&gt;](payments/refund.generated.md#scenario-outline-refund-amount) | [Refund](payments/refund.generated.md) |
+
+## @smoke
+
+| Scenario | Feature |
+| -------- | ------- |
+| [Log in](login.generated.md#scenario-log-in) | [Login](login.generated.md) |
+| [Full refund](payments/refund.generated.md#scenario-full-refund) | [Refund](payments/refund.generated.md) |
+`);
+    });
+  });
+
+  describe('isGeneratedFile', () => {
+    test('should only allow overwriting missing and generated files', () => {
+      const generated = path.join(tempDir, 'generated.md');
+      const handWritten = path.join(tempDir, 'index.md');
+      fs.writeFileSync(generated, `${GENERATED_MARKER}\n# Features\n`);
+      fs.writeFileSync(handWritten, '# Our specifications\n');
+
+      expect(isGeneratedFile(path.join(tempDir, 'missing.md'))).toBe(true);
+      expect(isGeneratedFile(generated)).toBe(true);
+      expect(isGeneratedFile(handWritten)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { parseFeature } from '../feature2markdown.js';
+import { DEFAULT_CONFIG } from '../config.js';
+import { LINT_RULES, lintFeature, formatIssues } from '../lint.js';
+
+describe('lint.js', () => {
+  // Lint the text of a feature file, returning the rule and line of every issue
+  const lint = (featureText, severities) => lintFeature(parseFeature(featureText).feature, severities)
+    .map(({ rule, line }) => `${rule}:${line}`);
+
+  describe('lintFeature', () => {
+    test('should not report a feature without issues', () => {
+      expect(lint(`Feature: Login
+  Users log in with their password.
+
+  Background:
+    Given a registered user
+
+  Scenario Outline: Log in as <role>
+    Given a <role> with "<password>"
+    When they log in with
+      """
+      <password>
+      """
+
+    Examples:
+      | role  | password |
+      | admin | secret   |`)).toEqual([]);
+    });
+
+    test('should report features without a description', () => {
+      expect(lint('Feature: Login\n  Scenario: Log in\n    Given a user')).toEqual(['missingDescription:1']);
+    });
+
+    test('should report scenarios with the same name in a feature, also in rules', () => {
+      expect(lint(`Feature: Login
+  About logging in.
+
+  Scenario: Log in
+    Given a user
+
+  Rule: Passwords
+    Scenario:   Log  in
+      Given a user`)).toEqual(['duplicateScenarioName:8']);
+    });
+
+    test('should report scenarios without steps', () => {
+      expect(lint('Feature: Login\n  About logging in.\n\n  Scenario: Log in\n\n  Scenario: Log out\n    Given a user'))
+        .toEqual(['emptyScenario:4']);
+    });
+
+    test('should report placeholders that are not a column of the Examples and unused columns', () => {
+      expect(lint(`Feature: Pay
+  About paying.
+
+  Scenario Outline: Pay <amount>
+    Given a card
+      | number   |
+      | <number> |
+    When I pay <amount> in <currency>
+
+    Examples:
+      | amount | card |
+      | 10     | visa |`)).toEqual(['undefinedPlaceholder:7', 'undefinedPlaceholder:8', 'unusedExamplesColumn:11']);
+    });
+
+    test('should report scenarios and backgrounds starting with And or But', () => {
+      expect(lint(`Feature: Login
+  About logging in.
+
+  Background:
+    And a user
+
+  Scenario: Log in
+    But not an admin
+    Given a user`)).toEqual(['conjunctionFirstStep:5', 'conjunctionFirstStep:8']);
+    });
+
+    test('should use the configured severities and leave out rules that are off', () => {
+      const feature = parseFeature('Feature: Login\n  Scenario: Log in').feature;
+
+      expect(lintFeature(feature, { ...DEFAULT_CONFIG.lint, missingDescription: 'off', emptyScenario: 'error' })).toEqual([
+        { line: 2, column: 3, rule: 'emptyScenario', severity: 'error', message: 'Scenario "Log in" has no steps' },
+      ]);
+    });
+  });
+
+  describe('formatIssues', () => {
+    const issues = [
+      { file: 'specs/login.feature', line: 4, column: 5, rule: 'conjunctionFirstStep', severity: 'warning', message: 'The first step of Scenario "Log in" starts with And' },
+      { file: 'specs/pay.feature', line: 3, column: 1, rule: 'parseError', severity: 'error', message: "expected: #EOF, got 'Foo'" },
+    ];
+
+    test('should format the issues as text', () => {
+      expect(formatIssues(issues)).toBe(`specs/login.feature:4:5: warning: The first step of Scenario "Log in" starts with And (conjunctionFirstStep)
+specs/pay.feature:3:1: error: expected: #EOF, got 'Foo' (parseError)
+2 problem(s): 1 error(s), 1 warning(s).`);
+    });
+
+    test('should format the issues as JSON', () => {
+      expect(JSON.parse(formatIssues(issues, 'json'))).toEqual({ issues });
+    });
+
+    test('should format the issues as a SARIF log', () => {
+      const sarif = JSON.parse(formatIssues(issues, 'sarif'));
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(sarif.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(Object.keys(LINT_RULES));
+      expect(sarif.runs[0].results[0]).toEqual({
+        ruleId: 'conjunctionFirstStep',
+        level: 'warning',
+        message: { text: 'The first step of Scenario "Log in" starts with And' },
+        locations: [{ physicalLocation: { artifactLocation: { uri: 'specs/login.feature' }, region: { startLine: 4, startColumn: 5 } } }],
+      });
+    });
+  });
+});
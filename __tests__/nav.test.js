@@ -0,0 +1,83 @@
+import path from 'path';
+import {
+  NAV_MARKER,
+  NAV_BEGIN,
+  NAV_END,
+  buildNavTree,
+  navTreeToYaml,
+  navTreeToPagesFiles,
+  updateNavFile
+} from '../nav.js';
+
+describe('nav.js', () => {
+  const docsDir = path.resolve('docs');
+  const pages = [
+    { path: path.join(docsDir, 'specs', 'payments', 'refund.generated.md'), title: 'Refund: full & partial' },
+    { path: path.join(docsDir, 'specs', 'payments', 'pay.generated.md'), title: 'Pay' },
+    { path: path.join(docsDir, 'specs', 'index.md'), title: 'Features', index: true },
+    { path: path.join(docsDir, 'specs', 'login.generated.md'), title: 'Login' },
+    { path: path.resolve('elsewhere', 'other.generated.md'), title: 'Other' },
+  ];
+
+  describe('navTreeToYaml', () => {
+    test('should mirror the folders with the index page first and the features by title', () => {
+      const lines = navTreeToYaml(buildNavTree(pages, docsDir));
+
+      expect(lines).toEqual([
+        '- specs:',
+        '  - specs/index.md',
+        '  - Login: specs/login.generated.md',
+        '  - payments:',
+        '    - Pay: specs/payments/pay.generated.md',
+        '    - "Refund: full & partial": specs/payments/refund.generated.md',
+      ]);
+    });
+  });
+
+  describe('navTreeToPagesFiles', () => {
+    test('should write a .pages file in every folder that keeps the other pages', () => {
+      const files = navTreeToPagesFiles(buildNavTree(pages, path.join(docsDir, 'specs')), path.join(docsDir, 'specs'));
+
+      expect(files).toEqual([
+        { filePath: path.join(docsDir, 'specs', '.pages'), lines: ['nav:', '  - index.md', '  - Login: login.generated.md', '  - payments', '  - ...'] },
+        { filePath: path.join(docsDir, 'specs', 'payments', '.pages'), lines: ['nav:', '  - Pay: pay.generated.md', '  - "Refund: full & partial": refund.generated.md', '  - ...'] },
+      ]);
+    });
+  });
+
+  describe('updateNavFile', () => {
+    const lines = ['- Login: login.generated.md'];
+
+    test('should write a new or generated file completely', () => {
+      expect(updateNavFile(null, lines)).toBe(`${NAV_MARKER}\n- Login: login.generated.md\n`);
+      expect(updateNavFile(`${NAV_MARKER}\n- Old: old.md\n`, lines)).toBe(`${NAV_MARKER}\n- Login: login.generated.md\n`);
+    });
+
+    test('should only replace the part between the markers, indented like them', () => {
+      const mkdocs = `site_name: Docs
+nav:
+  - Home: index.md
+  - Specifications:
+    ${NAV_BEGIN}
+    - Old: old.md
+    ${NAV_END}
+  - About: about.md
+`;
+
+      expect(updateNavFile(mkdocs, lines)).toBe(`site_name: Docs
+nav:
+  - Home: index.md
+  - Specifications:
+    ${NAV_BEGIN}
+    - Login: login.generated.md
+    ${NAV_END}
+  - About: about.md
+`);
+    });
+
+    test('should not touch a file that was written by hand without markers', () => {
+      expect(updateNavFile('site_name: Docs\n', lines)).toBeNull();
+      expect(updateNavFile(`nav:\n  ${NAV_END}\n  ${NAV_BEGIN}\n`, lines)).toBeNull();
+    });
+  });
+});
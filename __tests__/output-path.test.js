@@ -0,0 +1,53 @@
+import path from 'path';
+import { getOutputPath, getFeaturePath, isOutputFileName } from '../output-path.js';
+
+describe('output-path.js', () => {
+  const root = path.resolve('/repo/specs');
+  const outDir = path.resolve('/repo/docs');
+
+  describe('getOutputPath', () => {
+    test('should only replace the .feature extension', () => {
+      const featureFile = path.join(root, 'my.features', 'login.feature');
+
+      expect(getOutputPath(featureFile)).toBe(path.join(root, 'my.features', 'login.generated.md'));
+      expect(getOutputPath(path.join(root, 'a.feature.feature'), root, null, { outputSuffix: '.md' })).toBe(path.join(root, 'a.feature.md'));
+    });
+
+    test('should place the output with a template below the output directory', () => {
+      const featureFile = path.join(root, 'payments', 'refund.feature');
+      const naming = { outputTemplate: '{dir}/{name}.md' };
+
+      expect(getOutputPath(featureFile, root, outDir, naming)).toBe(path.join(outDir, 'payments', 'refund.md'));
+      expect(getOutputPath(featureFile, root, null, naming)).toBe(path.join(root, 'payments', 'refund.md'));
+      expect(getOutputPath(featureFile, null, null, naming)).toBe(path.join(root, 'payments', 'refund.md'));
+      expect(getOutputPath(path.join(root, 'login.feature'), root, outDir, { outputTemplate: 'features/{dir}/{name}/index.md' }))
+        .toBe(path.join(outDir, 'features', 'login', 'index.md'));
+    });
+  });
+
+  describe('getFeaturePath', () => {
+    test('should find the feature file of a page named with the suffix', () => {
+      expect(getFeaturePath(path.join(root, 'login.generated.md'))).toBe(path.join(root, 'login.feature'));
+      expect(getFeaturePath(path.join(outDir, 'payments', 'refund.generated.md'), root, outDir)).toBe(path.join(root, 'payments', 'refund.feature'));
+      expect(getFeaturePath(path.join(root, 'README.md'))).toBeNull();
+    });
+
+    test('should find the feature file of a page named with a template', () => {
+      const naming = { outputTemplate: 'features/{dir}/{name}.md' };
+
+      expect(getFeaturePath(path.join(outDir, 'features', 'payments', 'refund.md'), root, outDir, naming)).toBe(path.join(root, 'payments', 'refund.feature'));
+      expect(getFeaturePath(path.join(outDir, 'features', 'login.md'), root, outDir, naming)).toBe(path.join(root, 'login.feature'));
+      expect(getFeaturePath(path.join(outDir, 'index.md'), root, outDir, naming)).toBeNull();
+      expect(getFeaturePath(path.join(root, 'login.md'), root, outDir, naming)).toBeNull();
+    });
+  });
+
+  describe('isOutputFileName', () => {
+    test('should match the names of generated pages', () => {
+      expect(isOutputFileName('login.generated.md')).toBe(true);
+      expect(isOutputFileName('login.md')).toBe(false);
+      expect(isOutputFileName('login.feature.md', { outputTemplate: '{dir}/{name}.feature.md' })).toBe(true);
+      expect(isOutputFileName('login.md', { outputTemplate: '{dir}/{name}.feature.md' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  normalizeStatus,
+  aggregateResults,
+  parseCucumberJson,
+  parseMessages,
+  parseJunitXml,
+  readResults,
+  createResultsIndex,
+  loadResults
+} from '../results.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('results.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.mkdtempSync(path.join(__dirname, 'temp-'));
+  });
+
+  afterEach(() => {
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  const cucumberJson = [{
+    uri: 'features/refund.feature',
+    name: 'Refund',
+    elements: [
+      { type: 'background', name: '', line: 3, steps: [{ line: 4, result: { status: 'passed' } }] },
+      {
+        type: 'scenario',
+        name: 'Full refund',
+        line: 6,
+        before: [{ result: { status: 'passed' } }],
+        steps: [
+          { line: 7, result: { status: 'passed', duration: 1500000000 } },
+          { line: 8, result: { status: 'failed', duration: 500000000, error_message: 'Error: expected 10' } },
+        ],
+      },
+      { type: 'background', name: '', line: 3, steps: [{ line: 4, result: { status: 'passed' } }] },
+      { type: 'scenario', name: 'Partial refund', line: 10, steps: [{ line: 11, result: { status: 'skipped' } }] },
+    ],
+  }];
+
+  const messages = [
+    { gherkinDocument: { uri: 'features/login.feature', feature: { name: 'Login', children: [
+      { background: { id: 'b1', steps: [{ id: 'st0', location: { line: 3 } }] } },
+      { scenario: { id: 's1', location: { line: 5 }, steps: [{ id: 'st1', location: { line: 6 } }], examples: [] } },
+      { rule: { children: [
+        { scenario: { id: 's2', location: { line: 9 }, steps: [{ id: 'st2', location: { line: 10 } }], examples: [
+          { tableBody: [{ id: 'r1', location: { line: 14 } }, { id: 'r2', location: { line: 15 } }] },
+        ] } },
+      ] } },
+    ] } } },
+    { pickle: { id: 'p1', uri: 'features/login.feature', name: 'Sign in', astNodeIds: ['s1'], steps: [
+      { id: 'ps0', astNodeIds: ['st0'] },
+      { id: 'ps1', astNodeIds: ['st1'] },
+    ] } },
+    { pickle: { id: 'p2', uri: 'features/login.feature', name: 'Sign in as admin', astNodeIds: ['s2', 'r1'], steps: [
+      { id: 'ps2', astNodeIds: ['st2', 'r1'] },
+    ] } },
+    { testCase: { id: 't1', pickleId: 'p1', testSteps: [{ id: 'h1', hookId: 'hook' }, { id: 'ts0', pickleStepId: 'ps0' }, { id: 'ts1', pickleStepId: 'ps1' }] } },
+    { testCase: { id: 't2', pickleId: 'p2', testSteps: [{ id: 'ts2', pickleStepId: 'ps2' }] } },
+    { testCaseStarted: { id: 'a1', testCaseId: 't1' } },
+    { testStepFinished: { testCaseStartedId: 'a1', testStepId: 'ts1', testStepResult: { status: 'FAILED', message: 'flaky' } } },
+    { testCaseFinished: { testCaseStartedId: 'a1', willBeRetried: true } },
+    { testCaseStarted: { id: 'a2', testCaseId: 't1' } },
+    { testStepFinished: { testCaseStartedId: 'a2', testStepId: 'h1', testStepResult: { status: 'PASSED' } } },
+    { testStepFinished: { testCaseStartedId: 'a2', testStepId: 'ts0', testStepResult: { status: 'PASSED', duration: { seconds: 1, nanos: 250000000 } } } },
+    { testStepFinished: { testCaseStartedId: 'a2', testStepId: 'ts1', testStepResult: { status: 'PASSED' } } },
+    { testCaseFinished: { testCaseStartedId: 'a2', willBeRetried: false } },
+    { testCaseStarted: { id: 'a3', testCaseId: 't2' } },
+    { testStepFinished: { testCaseStartedId: 'a3', testStepId: 'ts2', testStepResult: {
+      status: 'FAILED',
+      exception: { type: 'Error', message: 'expected admin', stackTrace: 'Error: expected admin\n    at steps.js:3' },
+    } } },
+    { testCaseFinished: { testCaseStartedId: 'a3', willBeRetried: false } },
+  ].map(envelope => JSON.stringify(envelope)).join('\n');
+
+  describe('normalizeStatus', () => {
+    test('should convert Cucumber statuses to badge statuses', () => {
+      expect(normalizeStatus('PASSED')).toBe('passed');
+      expect(normalizeStatus('ambiguous')).toBe('failed');
+      expect(normalizeStatus('UNKNOWN')).toBe('skipped');
+      expect(normalizeStatus('exploded')).toBe('undefined');
+    });
+  });
+
+  describe('aggregateResults', () => {
+    test('should return the worst status', () => {
+      expect(aggregateResults(['passed', 'skipped', 'passed'])).toBe('skipped');
+      expect(aggregateResults(['pending', 'failed', 'undefined'])).toBe('failed');
+    });
+
+    test('should ignore parts without a status', () => {
+      expect(aggregateResults([undefined, 'passed'])).toBe('passed');
+      expect(aggregateResults([undefined])).toBeUndefined();
+      expect(aggregateResults([])).toBeUndefined();
+    });
+  });
+
+  describe('parseCucumberJson', () => {
+    test('should report every scenario with the background steps included', () => {
+      expect(parseCucumberJson(cucumberJson)).toEqual([
+        { uri: 'features/refund.feature', featureName: 'Refund', scenarioName: 'Full refund', line: 6, status: 'failed', duration: 2, steps: [
+          { line: 4, status: 'passed' },
+          { line: 7, status: 'passed', duration: 1.5 },
+          { line: 8, status: 'failed', duration: 0.5, error: 'Error: expected 10' },
+        ] },
+        { uri: 'features/refund.feature', featureName: 'Refund', scenarioName: 'Partial refund', line: 10, status: 'skipped', steps: [
+          { line: 4, status: 'passed' },
+          { line: 11, status: 'skipped' },
+        ] },
+      ]);
+    });
+  });
+
+  describe('parseMessages', () => {
+    test('should report the last attempt of every test case with the line of the scenario or example row', () => {
+      expect(parseMessages(messages)).toEqual([
+        { uri: 'features/login.feature', featureName: 'Login', scenarioName: 'Sign in', line: 5, status: 'passed', duration: 1.25, steps: [
+          { line: 3, status: 'passed', duration: 1.25 },
+          { line: 6, status: 'passed' },
+        ] },
+        { uri: 'features/login.feature', featureName: 'Login', scenarioName: 'Sign in as admin', line: 14, status: 'failed', steps: [
+          { line: 10, status: 'failed', error: 'Error: expected admin\n    at steps.js:3' },
+        ] },
+      ]);
+    });
+  });
+
+  describe('parseJunitXml', () => {
+    const junitXml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="Refund &amp; returns" tests="4">
+    <!-- <testcase name="Commented out"/> -->
+    <testcase classname="features.refund.Refund" name="Full refund" time="1.5"/>
+    <testcase classname="features.refund.Refund" name="Partial refund -- @1.2 Amounts" time="0.25">
+      <failure message="expected 10"><![CDATA[<testcase name="Not a testcase"/>]]></failure>
+    </testcase>
+    <testcase classname="features.refund.Refund" name="Cancel">
+      <skipped/>
+    </testcase>
+    <testcase classname="features.refund.Refund" name="Refund twice" file="features/refund.feature" line="20">
+      <error message="boom"/>
+    </testcase>
+  </testsuite>
+</testsuites>`;
+
+    test('should report every testcase with its status and duration', () => {
+      expect(parseJunitXml(junitXml)).toEqual([
+        { featureName: 'features.refund.Refund', scenarioName: 'Full refund', status: 'passed', duration: 1.5, steps: [], looseNames: false },
+        { featureName: 'features.refund.Refund', scenarioName: 'Partial refund -- @1.2 Amounts', status: 'failed', duration: 0.25, steps: [], looseNames: false },
+        { featureName: 'features.refund.Refund', scenarioName: 'Cancel', status: 'skipped', steps: [], looseNames: false },
+        { uri: 'features/refund.feature', featureName: 'features.refund.Refund', scenarioName: 'Refund twice', line: 20, status: 'failed', steps: [], looseNames: false },
+      ]);
+    });
+
+    test('should extract the names with the configured patterns', () => {
+      const results = parseJunitXml(junitXml, { featurePattern: '[^.]+$', scenarioPattern: '^(.*?)(?: -- @.*)?$' });
+
+      expect(results.map(result => [result.featureName, result.scenarioName])).toEqual([
+        ['Refund', 'Full refund'],
+        ['Refund', 'Partial refund'],
+        ['Refund', 'Cancel'],
+        ['Refund', 'Refund twice'],
+      ]);
+    });
+
+    test('should take the feature name from the testsuite when configured', () => {
+      const results = parseJunitXml(junitXml, { featureName: 'testsuite', looseNames: true });
+
+      expect(results[0]).toMatchObject({ featureName: 'Refund & returns', looseNames: true });
+    });
+
+    test('should only use a file attribute that points to a feature file', () => {
+      const results = parseJunitXml('<testsuite><testcase classname="Refund" name="Full refund" file="tests/test_refund.py" line="12"/></testsuite>');
+
+      expect(results[0].uri).toBeUndefined();
+      expect(results[0].line).toBeUndefined();
+    });
+  });
+
+  describe('readResults', () => {
+    test('should detect the format of the file', () => {
+      const jsonPath = path.join(tempDir, 'cucumber.json');
+      const messagesPath = path.join(tempDir, 'cucumber.ndjson');
+      fs.writeFileSync(jsonPath, JSON.stringify(cucumberJson, null, 2));
+      fs.writeFileSync(messagesPath, messages);
+
+      expect(readResults(jsonPath)).toHaveLength(2);
+      expect(readResults(messagesPath)[0].scenarioName).toBe('Sign in');
+    });
+
+    test('should read JUnit XML and record the source of every result', () => {
+      const junitPath = path.join(tempDir, 'junit.xml');
+      fs.writeFileSync(junitPath, '<testsuite><testcase classname="Refund" name="Full refund" time="2"/></testsuite>');
+
+      expect(readResults(junitPath)).toEqual([
+        { featureName: 'Refund', scenarioName: 'Full refund', status: 'passed', duration: 2, steps: [], looseNames: false, source: junitPath },
+      ]);
+    });
+
+    test('should report invalid files with the file name', () => {
+      const resultsPath = path.join(tempDir, 'broken.json');
+      fs.writeFileSync(resultsPath, '[{ broken');
+
+      expect(() => readResults(resultsPath)).toThrow(`Cannot read test results from ${resultsPath}`);
+    });
+  });
+
+  describe('createResultsIndex', () => {
+    const index = createResultsIndex([
+      { uri: 'features/refund.feature', featureName: 'Refund', scenarioName: 'Full refund', line: 6, status: 'passed' },
+      { uri: 'other/refund.feature', featureName: 'Refund', scenarioName: 'Full refund', line: 4, status: 'failed' },
+      { featureName: 'Refund', scenarioName: 'Partial  refund ', status: 'skipped' },
+    ]);
+
+    test('should match on the feature file and line first', () => {
+      expect(index.lookup({ featureFile: 'specs/features/refund.feature', featureName: 'Refund', scenarioName: 'Full refund', line: 6 })).toEqual({ status: 'passed', steps: [] });
+      expect(index.lookup({ featureFile: 'other/refund.feature', featureName: 'Refund', scenarioName: 'Full refund', line: 4 })).toEqual({ status: 'failed', steps: [] });
+    });
+
+    test('should fall back to the normalised names, where the worst status wins', () => {
+      expect(index.lookup({ featureName: 'Refund', scenarioName: 'Full refund' })).toEqual({ status: 'failed', steps: [] });
+      expect(index.lookup({ featureFile: 'features/refund.feature', featureName: 'Refund', scenarioName: 'Partial refund', line: 10 })).toEqual({ status: 'skipped', steps: [] });
+    });
+
+    test('should return undefined without a matching result', () => {
+      expect(index.lookup({ featureName: 'Refund', scenarioName: 'Cancel' })).toBeUndefined();
+    });
+
+    test('should list the results that were never looked up', () => {
+      const index = createResultsIndex([
+        { featureName: 'Refund', scenarioName: 'Full refund', status: 'passed' },
+        { featureName: 'Refund', scenarioName: 'Cancel', status: 'failed' },
+      ]);
+
+      index.lookup({ featureName: 'Refund', scenarioName: 'Full refund' });
+
+      expect(index.unmatched().map(result => result.scenarioName)).toEqual(['Cancel']);
+    });
+
+    test('should compare the names of loose results ignoring case, whitespace and punctuation', () => {
+      const index = createResultsIndex([
+        { featureName: 'RefundFeature', scenarioName: 'FullRefund', status: 'passed', steps: [], looseNames: true },
+        { featureName: 'refund', scenarioName: 'partialrefund', status: 'failed' },
+      ]);
+
+      expect(index.lookup({ featureName: 'Refund feature', scenarioName: 'Full refund!' })).toEqual({ status: 'passed', steps: [] });
+      expect(index.lookup({ featureName: 'Refund', scenarioName: 'Partial refund' })).toBeUndefined();
+    });
+
+    test('should return the step results with the name of their scenario', () => {
+      const index = createResultsIndex([
+        { featureName: 'Refund', scenarioName: 'Refund 10', status: 'passed', steps: [{ line: 4, status: 'passed' }] },
+        { featureName: 'Refund', scenarioName: 'Refund 20', status: 'failed', steps: [{ line: 4, status: 'failed', error: 'boom' }] },
+      ]);
+
+      expect(index.lookup({ featureName: 'Refund', scenarioName: 'Refund 20' }).steps).toEqual([
+        { scenarioName: 'Refund 20', line: 4, status: 'failed', error: 'boom' },
+      ]);
+    });
+
+    test('should add up the durations of the matching results', () => {
+      const index = createResultsIndex([
+        { featureName: 'Refund', scenarioName: 'Full refund', status: 'passed', duration: 0.5 },
+        { featureName: 'Refund', scenarioName: 'Full refund', status: 'passed', duration: 0.25 },
+      ]);
+
+      expect(index.lookup({ featureName: 'Refund', scenarioName: 'Full refund' })).toEqual({ status: 'passed', duration: 0.75, steps: [] });
+    });
+  });
+
+  describe('loadResults', () => {
+    test('should combine the results of several files', () => {
+      const jsonPath = path.join(tempDir, 'cucumber.json');
+      const messagesPath = path.join(tempDir, 'cucumber.ndjson');
+      fs.writeFileSync(jsonPath, JSON.stringify(cucumberJson));
+      fs.writeFileSync(messagesPath, messages);
+
+      const index = loadResults([jsonPath, messagesPath]);
+
+      expect(index.results).toHaveLength(4);
+      expect(index.lookup({ featureName: 'Login', scenarioName: 'Sign in' })).toMatchObject({ status: 'passed', duration: 1.25 });
+    });
+  });
+});
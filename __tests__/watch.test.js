@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { watchDirectories } from '../watch.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('watch.js', () => {
+  let tempDir;
+  let watcher;
+
+  beforeEach(() => {
+    // Create a temporary directory for testing
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(__dirname, 'temp-')));
+  });
+
+  afterEach(() => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    // Clean up temporary directory
+    if (fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  // Start watching and collect the batches of changes
+  const startWatching = (options = {}) => {
+    const batches = [];
+    watcher = watchDirectories([tempDir], changedPaths => batches.push(changedPaths), { delay: 50, ...options });
+    return batches;
+  };
+
+  // Wait until the check passes, or fail after a few seconds
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    expect(check()).toBe(true);
+  };
+
+  describe('watchDirectories', () => {
+    test('should report added, changed and removed files in a single batch', async () => {
+      fs.mkdirSync(path.join(tempDir, 'specs'));
+      fs.writeFileSync(path.join(tempDir, 'specs', 'old.feature'), 'Feature: Old');
+      fs.writeFileSync(path.join(tempDir, 'specs', 'gone.feature'), 'Feature: Gone');
+      const batches = startWatching();
+
+      fs.writeFileSync(path.join(tempDir, 'specs', 'new.feature'), 'Feature: New');
+      fs.appendFileSync(path.join(tempDir, 'specs', 'old.feature'), '\n  Scenario: Added');
+      fs.unlinkSync(path.join(tempDir, 'specs', 'gone.feature'));
+
+      await waitFor(() => batches.length > 0);
+      expect(batches[0]).toEqual(['gone.feature', 'new.feature', 'old.feature'].map(name => path.join(tempDir, 'specs', name)));
+    });
+
+    test('should watch directories that are added', async () => {
+      const batches = startWatching();
+
+      fs.mkdirSync(path.join(tempDir, 'payments'));
+      fs.writeFileSync(path.join(tempDir, 'payments', 'refund.feature'), 'Feature: Refund');
+
+      await waitFor(() => batches.flat().includes(path.join(tempDir, 'payments', 'refund.feature')));
+    });
+
+    test('should not watch skipped directories', async () => {
+      fs.mkdirSync(path.join(tempDir, 'node_modules'));
+      const batches = startWatching({ skipDirectory: dir => path.basename(dir) === 'node_modules' });
+
+      fs.writeFileSync(path.join(tempDir, 'node_modules', 'skipped.feature'), 'Feature: Skipped');
+      fs.writeFileSync(path.join(tempDir, 'watched.feature'), 'Feature: Watched');
+
+      await waitFor(() => batches.length > 0);
+      expect(batches.flat()).toEqual([path.join(tempDir, 'watched.feature')]);
+    });
+
+    test('should stop reporting changes when closed', async () => {
+      const batches = startWatching();
+      watcher.close();
+
+      fs.writeFileSync(path.join(tempDir, 'late.feature'), 'Feature: Late');
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(batches).toEqual([]);
+    });
+  });
+});
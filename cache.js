@@ -0,0 +1,97 @@
+// =============================================================
+// Feature2Markdown cache
+//
+// Remembers which feature files were converted with which options, so
+// unchanged files are not parsed and converted again on the next run.
+// The cache file (.feature2md-cache.json by default) maps the path of
+// every feature file, relative to the cache file, to
+//   { key, outPath, outputHash, result }
+// with key the hash of the feature text and everything else the output
+// depends on, outputHash the hash of the Markdown that was written and
+// result the metadata of the conversion, see featureToMarkdown().
+// An entry is only used when its key matches and the generated file is
+// still there as it was written.
+// =============================================================
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { toPosixPath } from './output-path.js';
+
+// Bumped when the layout of the cache file changes
+const CACHE_VERSION = 1;
+
+// The version of feature2markdown; a new version may generate different Markdown
+const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+
+// SHA-256 hash of a text, in hex
+function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// The key of a feature file in the cache: a hash of its text, the path of the generated file,
+// the path in the badges and the configuration, together with the version of the tool.
+// The paths should be relative, so the cache can be used in another checkout.
+function getCacheKey(featureText, { featureFile, outPath, config }) {
+  return hashText(JSON.stringify([TOOL_VERSION, featureFile, outPath, config, featureText]));
+}
+
+// Load the cache from filePath, starting empty when there is none yet or it cannot be read.
+// Returns { lookup(featurePath, key), store(featurePath, entry), save(dryRun) }: lookup gives
+// the entry when it is still valid, with markdown the content of the generated file, or undefined.
+function loadCache(filePath) {
+  const cacheDir = path.dirname(path.resolve(filePath));
+  const toCachePath = (entryPath) => toPosixPath(path.relative(cacheDir, path.resolve(entryPath)));
+  let entries = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (cache.version === CACHE_VERSION && typeof cache.entries === 'object' && cache.entries !== null) {
+        entries = cache.entries;
+      }
+    } catch (error) {
+      console.warn(`Ignoring the cache ${filePath}: ${error.message}`);
+    }
+  }
+  let changed = false;
+
+  return {
+    lookup(featurePath, key) {
+      const entry = entries[toCachePath(featurePath)];
+      if (!entry || entry.key !== key) {
+        return undefined;
+      }
+      if (entry.outPath === null) {
+        return { ...entry, markdown: null };
+      }
+      const outPath = path.resolve(cacheDir, entry.outPath);
+      if (!fs.existsSync(outPath)) {
+        return undefined;
+      }
+      const markdown = fs.readFileSync(outPath, 'utf8');
+      return hashText(markdown) === entry.outputHash ? { ...entry, outPath, markdown } : undefined;
+    },
+
+    store(featurePath, { key, outPath, markdown, result }) {
+      entries[toCachePath(featurePath)] = {
+        key,
+        outPath: outPath === null ? null : toCachePath(outPath),
+        outputHash: markdown === null ? null : hashText(markdown),
+        result,
+      };
+      changed = true;
+    },
+
+    // Write the cache when it changed, leaving out the feature files that no longer exist
+    save(dryRun = false) {
+      const existing = Object.entries(entries).filter(([featurePath]) => fs.existsSync(path.resolve(cacheDir, featurePath)));
+      if (dryRun || (!changed && existing.length === Object.keys(entries).length)) {
+        return;
+      }
+      entries = Object.fromEntries(existing.sort(([a], [b]) => a.localeCompare(b)));
+      fs.writeFileSync(filePath, `${JSON.stringify({ version: CACHE_VERSION, entries }, null, 2)}\n`);
+      changed = false;
+    },
+  };
+}
+
+export { CACHE_VERSION, TOOL_VERSION, hashText, getCacheKey, loadCache };
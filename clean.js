@@ -0,0 +1,76 @@
+// =============================================================
+// Feature2Markdown cleanup
+//
+// Finds the generated pages whose feature file was renamed or removed,
+// so they no longer show up in the documentation. Every generated page
+// starts with a marker comment naming the feature file it was generated
+// from, relative to the page:
+//   <!-- Generated by feature2markdown from login.feature. Changes are overwritten. -->
+// Only pages with this marker are considered, so Markdown that happens to
+// end with the output suffix but was written by hand is never removed. The
+// index pages have a similar marker, but name no feature file.
+// =============================================================
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { DEFAULT_CONFIG } from './config.js';
+import { toPosixPath, isOutputFileName } from './output-path.js';
+
+const MARKER_PREFIX = '<!-- Generated by feature2markdown from ';
+const MARKER_SUFFIX = '. Changes are overwritten. -->';
+
+// The marker comment for the first line of a page generated from sourcePath, relative to the page
+function getSourceMarker(sourcePath) {
+  return `${MARKER_PREFIX}${toPosixPath(sourcePath)}${MARKER_SUFFIX}`;
+}
+
+// The feature file a page was generated from according to its marker comment, relative to the
+// page, or null when the page has no marker or was generated from all of them, like an index page
+function getMarkedSource(content) {
+  const firstLine = content.split('\n', 1)[0];
+  if (!firstLine.startsWith(MARKER_PREFIX) || !firstLine.endsWith(MARKER_SUFFIX)) {
+    return null;
+  }
+  const source = firstLine.slice(MARKER_PREFIX.length, -MARKER_SUFFIX.length);
+  return source.endsWith('.feature') ? source : null;
+}
+
+// Check whether the page at pagePath was generated from the feature file at featurePath,
+// according to its marker comment
+function isGeneratedFrom(pagePath, featurePath) {
+  if (!fs.existsSync(pagePath)) {
+    return false;
+  }
+  const source = getMarkedSource(fs.readFileSync(pagePath, 'utf8'));
+  return source !== null && path.resolve(path.dirname(pagePath), source) === path.resolve(featurePath);
+}
+
+// Find the generated pages below dir whose feature file no longer exists, as
+// [{ pagePath, sourcePath }]. Only files named like a generated page (see the outputSuffix and
+// outputTemplate options) are read; directories matching the exclude patterns, relative to dir,
+// are skipped.
+function findOrphanedPages(dir, options = {}) {
+  const { exclude = DEFAULT_CONFIG.exclude } = options;
+  const orphans = [];
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      const relativePath = toPosixPath(path.relative(dir, entryPath));
+      if (entry.isDirectory()) {
+        if (!exclude.some(pattern => minimatch(`${relativePath}/`, pattern, { dot: true }))) {
+          walk(entryPath);
+        }
+      } else if (entry.isFile() && isOutputFileName(entry.name, options)) {
+        const source = getMarkedSource(fs.readFileSync(entryPath, 'utf8'));
+        const sourcePath = source === null ? null : path.resolve(current, source);
+        if (sourcePath !== null && !fs.existsSync(sourcePath)) {
+          orphans.push({ pagePath: entryPath, sourcePath });
+        }
+      }
+    }
+  };
+  walk(dir);
+  return orphans.sort((a, b) => a.pagePath.localeCompare(b.pagePath));
+}
+
+export { getSourceMarker, getMarkedSource, isGeneratedFrom, findOrphanedPages };
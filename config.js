@@ -0,0 +1,267 @@
+// =============================================================
+// Feature2Markdown configuration
+//
+// Loads the configuration from a feature2md.config.json file or from the
+// "feature2md" key in package.json. The first directory that has either one,
+// searching from the working directory upwards, wins.
+// Every option is validated; unknown options are reported instead of ignored.
+// =============================================================
+import fs from 'fs';
+import path from 'path';
+import parseTagExpression from '@cucumber/tag-expressions';
+
+const CONFIG_FILE_NAME = 'feature2md.config.json';
+const PACKAGE_JSON_KEY = 'feature2md';
+
+const DEFAULT_CONFIG = {
+  // Glob patterns, relative to each root, of the feature files to convert
+  include: ['**/*.feature'],
+  // Glob patterns, relative to each root, of files and directories to skip
+  exclude: ['**/node_modules/**', '**/.git/**'],
+  // Skip files and directories that are ignored by .gitignore files
+  respectGitignore: true,
+  // Cucumber tag expression of the scenarios to convert, such as '@customer-facing and not @wip'.
+  // Feature files without matching scenarios are left out. Empty converts everything
+  tags: '',
+  // Suffix that replaces .feature in the name of the generated Markdown file
+  outputSuffix: '.generated.md',
+  // Path of the generated Markdown file below the output directory instead, such as
+  // '{dir}/{name}.md', with {dir} the directory of the feature file relative to its root and
+  // {name} its name without .feature. Empty uses the outputSuffix
+  outputTemplate: '',
+  // HTML added at the top of every generated page, an empty string leaves it out
+  latestBuildBadge: '<p style="text-align:right"><span class="bdd-badge-latestbuild-tooltip"><span class="bdd-badge-latestbuild"></span></span></p>',
+  // CSS classes of the badges, as expected by the Bdd Badges addon
+  badgeClasses: {
+    feature: 'bdd-badge-feature',
+    rule: 'bdd-badge-rule',
+    scenario: 'bdd-badge-scenario',
+    scenarioOutline: 'bdd-badge-scenario-outline',
+    example: 'bdd-badge-example',
+    step: 'bdd-badge-step',
+    stepError: 'bdd-badge-step-error',
+    tag: 'bdd-tag',
+  },
+  // Add a badge to every row of the Examples tables of a Scenario Outline
+  exampleBadges: true,
+  // With test results, add the result to every step and the error message below failed steps
+  stepResults: true,
+  // Show the tags as chips that can be styled, instead of as code
+  tagChips: true,
+  // Remove Gherkin comment lines from the generated Markdown
+  stripComments: true,
+  // Remove the indentation of tables so they render as Markdown tables
+  fixTables: true,
+  // Write a page describing the errors for feature files that cannot be parsed
+  parseErrorPlaceholder: false,
+  // What to do with files without a Feature (empty or only comments): 'skip' or 'stub'
+  emptyFeature: 'skip',
+  // Overview pages listing the converted features: 'none', one at the 'root' of the output,
+  // or one in every 'directory' with feature pages below it
+  indexPages: 'none',
+  // Name of the overview pages
+  indexFileName: 'index.md',
+  // Title of the overview pages
+  indexTitle: 'Features',
+  // Write a page listing the scenarios per tag at the root of the output
+  tagIndex: false,
+  // Name of the tag index page
+  tagIndexFileName: 'tags.md',
+  // Title of the tag index page
+  tagIndexTitle: 'Tags',
+  // MkDocs navigation of the generated pages: 'none', a 'mkdocs' nav list or a .pages file in
+  // every folder for the awesome-pages plugin
+  nav: 'none',
+  // File the mkdocs nav list is written to, relative to the working directory. An existing file
+  // with the marker comments, such as mkdocs.yml, only has the part between them replaced.
+  // Empty writes nav.yml in the docs directory
+  navFile: '',
+  // The docs_dir of MkDocs, relative to the working directory; the paths in the navigation are
+  // relative to it. Empty uses the output directory
+  navDocsDir: '',
+  // Remember the feature files that were converted in the cache file, and skip them on the next
+  // run when neither they nor the options changed. Not used with test results
+  cache: false,
+  // The cache file, relative to the working directory
+  cacheFile: '.feature2md-cache.json',
+  // How the testcases of JUnit XML test results are matched to the scenarios
+  junit: {
+    // Take the feature name from the 'classname' of a testcase or the name of its 'testsuite'
+    featureName: 'classname',
+    // Regular expression that extracts the feature name: its first capture group or the
+    // whole match. Empty uses the classname or testsuite name as is
+    featurePattern: '',
+    // Regular expression that extracts the scenario name from the name of the testcase
+    scenarioPattern: '',
+    // Ignore case, whitespace and punctuation when comparing the names, for test names
+    // generated from the scenario names such as ChooseBasicProgram
+    looseNames: false,
+  },
+  // Severity of the issues reported by --lint: 'error', 'warning' or 'off'. Errors make the
+  // run fail
+  lint: {
+    // Two scenarios in a feature with the same name, whose test results cannot be told apart
+    duplicateScenarioName: 'error',
+    // Scenarios without steps
+    emptyScenario: 'warning',
+    // <placeholders> of a Scenario Outline that are not a column of its Examples tables
+    undefinedPlaceholder: 'error',
+    // Columns of an Examples table that the Scenario Outline does not use
+    unusedExamplesColumn: 'warning',
+    // Features without a description
+    missingDescription: 'warning',
+    // Scenarios and backgrounds whose first step starts with And or But
+    conjunctionFirstStep: 'warning',
+  },
+};
+
+// Options that only accept a fixed set of values
+const ALLOWED_VALUES = {
+  emptyFeature: ['skip', 'stub'],
+  indexPages: ['none', 'root', 'directory'],
+  nav: ['none', 'mkdocs', 'pages'],
+  'junit.featureName': ['classname', 'testsuite'],
+  ...Object.fromEntries(Object.keys(DEFAULT_CONFIG.lint).map(rule => [`lint.${rule}`, ['error', 'warning', 'off']])),
+};
+
+// Options that hold a regular expression
+const PATTERN_OPTIONS = ['junit.featurePattern', 'junit.scenarioPattern'];
+
+// Options that hold a Cucumber tag expression
+const TAG_EXPRESSION_OPTIONS = ['tags'];
+
+// Check a single value against the type of its default
+function validateValue(value, defaultValue, name, source) {
+  if (Array.isArray(defaultValue)) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`Invalid value for "${name}" in ${source}: expected an array of strings, got ${JSON.stringify(value)}`);
+    }
+    return;
+  }
+
+  const expectedType = typeof defaultValue;
+  if (typeof value !== expectedType || value === null || Array.isArray(value)) {
+    throw new Error(`Invalid value for "${name}" in ${source}: expected a ${expectedType}, got ${JSON.stringify(value)}`);
+  }
+
+  if (ALLOWED_VALUES[name] && !ALLOWED_VALUES[name].includes(value)) {
+    throw new Error(`Invalid value for "${name}" in ${source}: expected one of ${ALLOWED_VALUES[name].join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (PATTERN_OPTIONS.includes(name)) {
+    try {
+      new RegExp(value, 'u');
+    } catch (error) {
+      throw new Error(`Invalid value for "${name}" in ${source}: ${error.message}`);
+    }
+  }
+
+  if (TAG_EXPRESSION_OPTIONS.includes(name) && value.trim()) {
+    try {
+      parseTagExpression(value);
+    } catch (error) {
+      throw new Error(`Invalid value for "${name}" in ${source}: not a valid tag expression (${error.message}), got ${JSON.stringify(value)}`);
+    }
+  }
+}
+
+// Validate the options of (a section of) the configuration and merge them with the defaults
+function mergeWithDefaults(options, defaults, prefix, source) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error(`Invalid configuration in ${source}: ${prefix ? `"${prefix}" must be` : 'expected'} an object`);
+  }
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(options)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+      const validKeys = Object.keys(defaults).map(validKey => prefix ? `${prefix}.${validKey}` : validKey);
+      throw new Error(`Unknown option "${name}" in ${source}. Valid options are: ${validKeys.join(', ')}`);
+    }
+
+    if (typeof defaults[key] === 'object' && !Array.isArray(defaults[key])) {
+      merged[key] = mergeWithDefaults(value, defaults[key], name, source);
+    } else {
+      validateValue(value, defaults[key], name, source);
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+// Validate a (partial) configuration and fill in the defaults for every missing option
+function resolveConfig(options = {}, source = 'the configuration') {
+  const config = mergeWithDefaults(options, DEFAULT_CONFIG, '', source);
+  if (!config.outputSuffix.endsWith('.md')) {
+    throw new Error(`Invalid value for "outputSuffix" in ${source}: it must end with .md, got "${config.outputSuffix}"`);
+  }
+  const unknownPlaceholder = config.outputTemplate.match(/\{(?!(?:dir|name)\})[^}]*\}/);
+  if (unknownPlaceholder) {
+    throw new Error(`Invalid value for "outputTemplate" in ${source}: unknown placeholder ${unknownPlaceholder[0]}, use {dir} and {name}`);
+  }
+  if (config.outputTemplate && (!config.outputTemplate.includes('{name}') || !config.outputTemplate.endsWith('.md'))) {
+    throw new Error(`Invalid value for "outputTemplate" in ${source}: it must contain {name} and end with .md, got "${config.outputTemplate}"`);
+  }
+  if (path.isAbsolute(config.outputTemplate) || config.outputTemplate.split('/').includes('..')) {
+    throw new Error(`Invalid value for "outputTemplate" in ${source}: it must be a path below the output directory, got "${config.outputTemplate}"`);
+  }
+  if (config.cache && !config.cacheFile) {
+    throw new Error(`Invalid value for "cacheFile" in ${source}: it must be set to use the cache`);
+  }
+  for (const name of ['indexFileName', 'tagIndexFileName']) {
+    if (!config[name].endsWith('.md') || config[name].includes('/')) {
+      throw new Error(`Invalid value for "${name}" in ${source}: it must be a file name ending with .md, got "${config[name]}"`);
+    }
+  }
+  return config;
+}
+
+// Read and parse a JSON file, reporting the file name when it is not valid JSON
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+// Search from startDir upwards for a feature2md.config.json file or a package.json with a
+// "feature2md" key. Returns { options, source } or null when there is no configuration.
+function findConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const configPath = path.join(dir, CONFIG_FILE_NAME);
+    if (fs.existsSync(configPath)) {
+      return { options: readJsonFile(configPath), source: configPath };
+    }
+
+    const packagePath = path.join(dir, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      const packageJson = readJsonFile(packagePath);
+      if (packageJson && Object.prototype.hasOwnProperty.call(packageJson, PACKAGE_JSON_KEY)) {
+        return { options: packageJson[PACKAGE_JSON_KEY], source: `${packagePath} ("${PACKAGE_JSON_KEY}" key)` };
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Load the configuration from an explicit file, or discover it from startDir upwards.
+// Returns the validated configuration with the defaults filled in and the source it came from.
+function loadConfig({ configPath, startDir } = {}) {
+  const found = configPath
+    ? { options: readJsonFile(path.resolve(configPath)), source: path.resolve(configPath) }
+    : findConfig(startDir);
+
+  if (!found) {
+    return { config: resolveConfig(), source: null };
+  }
+  return { config: resolveConfig(found.options, found.source), source: found.source };
+}
+
+export { CONFIG_FILE_NAME, PACKAGE_JSON_KEY, DEFAULT_CONFIG, resolveConfig, findConfig, loadConfig };
@@ -0,0 +1,125 @@
+// =============================================================
+// Feature2Markdown diff
+//
+// Produces a unified diff between the Markdown on disk and the Markdown
+// that would be generated, for the --check mode of both scripts, in the
+// format of `diff -u` and git:
+//   --- docs/login.generated.md
+//   +++ docs/login.generated.md (generated)
+//   @@ -3,7 +3,7 @@
+// The generated files are small, so the longest common subsequence of
+// the lines that differ is simply computed with a table.
+// =============================================================
+
+// Lines of context around every change
+const DIFF_CONTEXT = 3;
+
+// Split a text into lines, without the line ending after the last line
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+  return text.replace(/\n$/, '').split('\n');
+}
+
+// Compare the lines as a list of { type, line } with type ' ' for a line in both, '-' for one
+// that was removed from oldLines and '+' for one that was added in newLines
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  // lengths[i][j] is the length of the longest common subsequence of the lines from start + i and start + j
+  const oldCount = oldEnd - start;
+  const newCount = newEnd - start;
+  const lengths = Array.from({ length: oldCount + 1 }, () => new Uint32Array(newCount + 1));
+  for (let i = oldCount - 1; i >= 0; i--) {
+    for (let j = newCount - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[start + i] === newLines[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < oldCount || j < newCount) {
+    if (i < oldCount && j < newCount && oldLines[start + i] === newLines[start + j]) {
+      changes.push({ type: ' ', line: oldLines[start + i] });
+      i++;
+      j++;
+    } else if (i < oldCount && (j === newCount || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removed lines go before the lines that replace them
+      changes.push({ type: '-', line: oldLines[start + i] });
+      i++;
+    } else {
+      changes.push({ type: '+', line: newLines[start + j] });
+      j++;
+    }
+  }
+  return changes.concat(oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+}
+
+// The range of a hunk as diff writes it: the first line and the number of lines, where an empty
+// range starts at the line before it
+function formatRange(first, count) {
+  const line = count === 0 ? first - 1 : first;
+  return count === 1 ? `${line}` : `${line},${count}`;
+}
+
+// Generate the unified diff from oldText to newText, with oldName and newName in the header.
+// Returns an empty string when the texts are the same.
+function unifiedDiff(oldText, newText, { oldName = 'a', newName = 'b', context = DIFF_CONTEXT } = {}) {
+  if (oldText === newText) {
+    return '';
+  }
+  const changes = diffLines(splitLines(oldText), splitLines(newText));
+  const lines = [`--- ${oldName}`, `+++ ${newName}`];
+
+  // Number every change with its line in the old and the new text
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = changes.map(change => {
+    const result = { ...change, oldLine, newLine };
+    oldLine += change.type === '+' ? 0 : 1;
+    newLine += change.type === '-' ? 0 : 1;
+    return result;
+  });
+
+  let index = 0;
+  while (index < numbered.length) {
+    if (numbered[index].type === ' ') {
+      index++;
+      continue;
+    }
+    // Collect the changes that are close enough together to share their context
+    const first = Math.max(0, index - context);
+    let last = index;
+    for (let next = index; next < numbered.length && next <= last + 2 * context; next++) {
+      if (numbered[next].type !== ' ') {
+        last = next;
+      }
+    }
+    const hunk = numbered.slice(first, Math.min(numbered.length, last + context + 1));
+    const oldCount = hunk.filter(change => change.type !== '+').length;
+    const newCount = hunk.filter(change => change.type !== '-').length;
+    lines.push(`@@ -${formatRange(hunk[0].oldLine, oldCount)} +${formatRange(hunk[0].newLine, newCount)} @@`);
+    hunk.forEach(change => lines.push(`${change.type}${change.line}`));
+    index = last + context + 1;
+  }
+
+  if (lines.length === 2) {
+    lines.push('\\ Only the newline at the end of the file differs');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export { DIFF_CONTEXT, unifiedDiff };
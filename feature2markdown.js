@@ -1,74 +1,568 @@
+#!/usr/bin/env node
 // =============================================================
 // Feature2Markdown
 //
 // This script converts Gherkin feature files to Markdown format with badges for each scenario.
-// It recursively searches for .feature files in the current directory and its subdirectories,
-// parses them, and appends a badge tag to each feature name and scenario name.
+// It recursively searches for .feature files in the given root directories (default: the
+// current directory), parses them, and appends a badge tag to each feature name and scenario name.
 //
-// It is designed to be run from the command line and can be used in a CI/CD pipeline
+// It is designed to be run from the command line and can be used in a CI/CD pipeline.
+// It can also be imported as a library: featureToMarkdown() returns the Markdown for the
+// text of a feature file without touching the file system.
 //
-// Usage: node feature2markdown.js
+// The output can be tuned with a feature2md.config.json file, see config.js.
+// With test results (see results.js) the status of every feature, rule and scenario is
+// baked into the badges, for documentation that is built outside of Backstage.
+// Overview pages listing all converted features are generated by index-pages.js, the MkDocs
+// navigation of the generated pages by nav.js. With --watch the files are converted again as
+// they change, see watch.js.
+//
+// Usage: feature2markdown [options] [root...], see USAGE below or --help for the options.
 // =============================================================
+import { createHash } from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import parseTagExpression from '@cucumber/tag-expressions';
 import { AstBuilder, GherkinClassicTokenMatcher, Parser } from '@cucumber/gherkin';
 import { pretty } from '@cucumber/gherkin-utils';
 import { IdGenerator } from '@cucumber/messages';
+import ignore from 'ignore';
+import { minimatch } from 'minimatch';
+import { DEFAULT_CONFIG, resolveConfig, loadConfig } from './config.js';
+import { normalizeName, combineResults, loadResults } from './results.js';
+import { isGeneratedFile, getIndexPages, indexPageToMarkdown, tagIndexToMarkdown } from './index-pages.js';
+import { NAV_BEGIN, NAV_END, buildNavTree, navTreeToYaml, navTreeToPagesFiles, updateNavFile } from './nav.js';
+import { watchDirectories } from './watch.js';
+import { getCacheKey, loadCache } from './cache.js';
+import { getSourceMarker, isGeneratedFrom, findOrphanedPages } from './clean.js';
+import { replaceFeatureReferences } from './fix-feature-references.js';
+import { toPosixPath, isInside, getOutputPath } from './output-path.js';
+import { unifiedDiff } from './diff.js';
+import { LINT_FORMATS, lintFeature, formatIssues } from './lint.js';
+
+const USAGE = `Usage: feature2markdown [options] [root...]
+
+Converts every .feature file found under the given roots (default: the current
+directory) to Markdown with badges.
+
+Options:
+  -c, --config <file>  Use this configuration file instead of searching for
+                       feature2md.config.json or a "feature2md" key in package.json
+  -i, --include <glob> Only convert feature files matching this pattern, relative to the
+                       root (repeatable, replaces the configured include patterns)
+  -x, --exclude <glob> Skip files and directories matching this pattern, relative to the
+                       root (repeatable, added to the configured exclude patterns)
+      --no-gitignore   Do not skip files that are ignored by .gitignore files
+  -t, --tags <expression>
+                       Only convert the scenarios matching this Cucumber tag expression,
+                       such as "@customer-facing and not @wip"; feature files without
+                       matching scenarios are left out
+  -p, --placeholder-on-error
+                       Write a page describing the errors for feature files that cannot
+                       be parsed, instead of leaving them out
+  -e, --empty-feature <skip|stub>
+                       What to do with files without a Feature: skip them with a
+                       warning (default) or write a stub page
+  -r, --results <file> Bake the test results of this Cucumber JSON report, messages (NDJSON)
+                       or JUnit XML file into the badges (repeatable)
+      --index <none|root|directory>
+                       Write an overview page of the converted features at the root of
+                       the output, or in every folder with feature pages below it
+      --nav <none|mkdocs|pages>
+                       Write the MkDocs navigation of the generated pages: a nav list for
+                       mkdocs.yml, or .pages files for the awesome-pages plugin
+      --tag-index      Write a page listing the scenarios per tag at the root of the output
+  -o, --out-dir <dir>  Write the Markdown to <dir>, mirroring the tree below each root,
+                       instead of next to the .feature file
+  -n, --dry-run        List the files that would be written without writing them
+      --check          Write nothing, but show the differences between the generated files
+                       on disk and what would be generated, and exit with 1 when they differ
+      --lint           Report quality issues in the feature files instead of converting
+                       them, and exit with 1 when there are errors
+      --lint-format <text|json|sarif>
+                       Report the issues as text (default), JSON or a SARIF log
+      --clean          Remove the generated pages of feature files that were renamed or
+                       removed; with --dry-run they are only listed
+  -w, --watch          Keep running, and convert the feature files again when they change
+      --cache          Skip the feature files that did not change since the last run, see
+                       the cacheFile option
+  -q, --quiet          Only report warnings and errors
+  -v, --verbose        Report every feature, rule and scenario that is processed
+  -h, --help           Show this help`;
+
+// Log levels, selected with --quiet and --verbose
+const LOG_LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+let logLevel = LOG_LEVELS.normal;
+
+function setLogLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  logLevel = LOG_LEVELS[level];
+}
+
+// Progress messages, hidden with --quiet
+function logInfo(message) {
+  if (logLevel >= LOG_LEVELS.normal) {
+    console.log(message);
+  }
+}
 
-// Recursively find all feature files
-function findFeatureFiles(dir) {
-  let results = [];
-  const list = fs.readdirSync(dir, { withFileTypes: true });
-  for (const file of list) {
-    const filePath = path.join(dir, file.name);
-    if (file.isDirectory()) {
-      results = results.concat(findFeatureFiles(filePath));
-    } else if (file.isFile() && file.name.endsWith('.feature')) {
-      results.push(filePath);
+// Detailed messages, only shown with --verbose
+function logVerbose(message) {
+  if (logLevel >= LOG_LEVELS.verbose) {
+    console.log(message);
+  }
+}
+
+// The files that are out of date in check mode (--check) as [{ filePath, diff }], null otherwise.
+// Nothing is written in check mode, the differences are reported instead.
+let staleFiles = null;
+
+// Report a file that would be written or removed in check mode, with the diff from its content
+// on disk to the content it should have (null when it would be removed)
+function reportStaleFile(filePath, content) {
+  const exists = fs.existsSync(filePath);
+  const relativePath = toPosixPath(path.relative(process.cwd(), filePath));
+  const diff = unifiedDiff(exists ? fs.readFileSync(filePath, 'utf8') : '', content === null ? '' : content, {
+    oldName: exists ? relativePath : '/dev/null',
+    newName: content === null ? '/dev/null' : `${relativePath} (generated)`,
+  });
+  console.log(diff.trimEnd());
+  staleFiles.push({ filePath, diff });
+}
+
+// Read the .gitignore file in a directory, if there is one, into a matcher for paths below it
+function readGitignore(dir) {
+  const gitignorePath = path.join(dir, '.gitignore');
+  if (!fs.existsSync(gitignorePath)) {
+    return null;
+  }
+  return { dir, matcher: ignore().add(fs.readFileSync(gitignorePath, 'utf8')) };
+}
+
+// Collect the .gitignore files of the directories above dir, up to the root of its git repository.
+// Outside of a git repository the .gitignore files of parent directories do not apply.
+function readParentGitignores(dir) {
+  const gitignores = [];
+  let current = dir;
+  while (!fs.existsSync(path.join(current, '.git'))) {
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return [];
+    }
+    current = parent;
+    const gitignore = readGitignore(current);
+    if (gitignore) {
+      gitignores.unshift(gitignore);
     }
   }
+  return gitignores;
+}
+
+// Check whether a file or directory is ignored by any of the .gitignore files that apply to it
+function isGitignored(filePath, isDirectory, gitignores) {
+  return gitignores.some(({ dir, matcher }) => {
+    const relativePath = toPosixPath(path.relative(dir, filePath));
+    return relativePath !== '' && matcher.ignores(isDirectory ? `${relativePath}/` : relativePath);
+  });
+}
+
+// Check a path relative to the root against a list of glob patterns
+function matchesAny(relativePath, patterns) {
+  return patterns.some(pattern => minimatch(relativePath, pattern, { dot: true }));
+}
+
+// Recursively find the files below root whose name isWanted
+// Files and directories matching the exclude patterns or ignored by a .gitignore file are skipped,
+// and only files matching one of the include patterns are returned. Symbolic links are followed,
+// but every directory is visited only once to protect against symlink loops.
+function findFiles(root, isWanted, options = {}) {
+  const {
+    include = DEFAULT_CONFIG.include,
+    exclude = DEFAULT_CONFIG.exclude,
+    respectGitignore = DEFAULT_CONFIG.respectGitignore,
+  } = options;
+  const results = [];
+  const visited = new Set();
+
+  const walk = (dir, gitignores) => {
+    const realDir = fs.realpathSync(dir);
+    if (visited.has(realDir)) {
+      logVerbose(`Skipping ${dir}: already visited (symlink loop)`);
+      return;
+    }
+    visited.add(realDir);
+
+    if (respectGitignore) {
+      const gitignore = readGitignore(dir);
+      if (gitignore) {
+        gitignores = [...gitignores, gitignore];
+      }
+    }
+
+    const list = fs.readdirSync(dir, { withFileTypes: true });
+    for (const file of list) {
+      const filePath = path.join(dir, file.name);
+      const relativePath = toPosixPath(path.relative(root, filePath));
+
+      let isDirectory = file.isDirectory();
+      let isFile = file.isFile();
+      if (file.isSymbolicLink()) {
+        try {
+          const stat = fs.statSync(filePath);
+          isDirectory = stat.isDirectory();
+          isFile = stat.isFile();
+        } catch {
+          logVerbose(`Skipping broken symbolic link: ${filePath}`);
+          continue;
+        }
+      }
+
+      if (isDirectory) {
+        if (matchesAny(`${relativePath}/`, exclude) || isGitignored(filePath, true, gitignores)) {
+          logVerbose(`Skipping directory: ${filePath}`);
+          continue;
+        }
+        walk(filePath, gitignores);
+      } else if (isFile && isWanted(file.name)) {
+        if (!matchesAny(relativePath, include) || matchesAny(relativePath, exclude) || isGitignored(filePath, false, gitignores)) {
+          logVerbose(`Skipping file: ${filePath}`);
+          continue;
+        }
+        results.push(filePath);
+      }
+    }
+  };
+
+  walk(root, respectGitignore ? readParentGitignores(path.resolve(root)) : []);
   return results;
 }
 
-// Generate a tag for the badge, containing the name of the feature, scenario or scenario outline
-function getBadgeTag(featureName, scenarioName, scenarioOutlineName)
+// Recursively find all feature files matching the include patterns, see findFiles()
+function findFeatureFiles(root, options = {}) {
+  return findFiles(root, fileName => fileName.endsWith('.feature'), options);
+}
+
+// Recursively find the Markdown and YAML files that may refer to feature files, skipping the same
+// files and directories as findFeatureFiles() except for the include patterns
+function findReferencingFiles(root, options = {}) {
+  return findFiles(root, fileName => /\.(md|ya?ml)$/.test(fileName), { ...options, include: ['**'] });
+}
+
+// Escape text for use in HTML text content or a double-quoted attribute value
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Stable identifier for a feature, rule or scenario badge: a short hash of the feature file path
+// and the normalised names of the feature, rule and scenario. It does not change when steps are
+// edited or scenarios move around in the file, but it does when something is renamed or moved.
+// Example rows add the name of their Examples table and their index in it as example key.
+function getBadgeId(featureFile, featureName, ruleName, scenarioName, exampleKey) {
+  const key = [featureFile || '', ...[featureName, ruleName, scenarioName].map(name => name ? normalizeName(name) : '')];
+  if (exampleKey) {
+    key.push(exampleKey);
+  }
+  return createHash('sha256').update(key.join('\0')).digest('hex').slice(0, 12);
+}
+
+// Data attributes that identify a badge unambiguously, next to the names: the relative path of
+// the feature file, the rule the scenario belongs to, the line in the feature file and the id.
+// When the test result is known it is added as well, with its duration in seconds if reported.
+function getIdentifierAttributes({ featureFile, rule, line, id, result, duration }) {
+  let attributes = '';
+  if (featureFile) {
+    attributes += ` data-feature-file="${escapeHtml(featureFile)}"`;
+  }
+  if (rule) {
+    attributes += ` data-rule="${escapeHtml(normalizeName(rule))}"`;
+  }
+  if (line) {
+    attributes += ` data-line="${line}"`;
+  }
+  if (id) {
+    attributes += ` data-id="${escapeHtml(id)}"`;
+  }
+  if (result) {
+    attributes += ` data-result="${escapeHtml(result)}"`;
+  }
+  if (result && duration !== undefined) {
+    attributes += ` data-duration="${Number(duration.toFixed(3))}"`;
+  }
+  return attributes;
+}
+
+// The result and duration badge options and metadata of a test result as returned by the
+// lookup of a results index, see createResultsIndex() in results.js
+function getResultOptions(testResult) {
+  return {
+    result: testResult ? testResult.status : undefined,
+    duration: testResult ? testResult.duration : undefined,
+  };
+}
+
+// Generate a tag for the badge, containing the name of the feature, scenario or scenario outline.
+// The data attributes hold the normalised names, the text of the tag the name as written;
+// both are HTML-escaped, so reading them back from the DOM gives the original text.
+// The options are the badgeClasses, the identifying attributes featureFile, rule, line and id,
+// and the test result and duration, if known.
+function getBadgeTag(featureName, scenarioName, scenarioOutlineName, options = {})
 {
   if (!featureName) {
     console.warn('Feature name is required for badge generation.');
     return '';
   }
 
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  const feature = escapeHtml(normalizeName(featureName));
+  const identifiers = getIdentifierAttributes(options);
+
   if (scenarioName) {
-    return `<span class="bdd-badge-scenario" data-feature="${featureName}" data-scenario="${scenarioName}">${scenarioName}</span>`;
+    return `<span class="${escapeHtml(badgeClasses.scenario)}" data-feature="${feature}" data-scenario="${escapeHtml(normalizeName(scenarioName))}"${identifiers}>${escapeHtml(scenarioName)}</span>`;
   }
 
   if (scenarioOutlineName) {
-    return `<span class="bdd-badge-scenario-outline" data-feature="${featureName}" data-scenario-outline="${scenarioOutlineName}">${scenarioOutlineName}</span>`;
+    return `<span class="${escapeHtml(badgeClasses.scenarioOutline)}" data-feature="${feature}" data-scenario-outline="${escapeHtml(normalizeName(scenarioOutlineName))}"${identifiers}>${escapeHtml(scenarioOutlineName)}</span>`;
+  }
+
+  return `<span class="${escapeHtml(badgeClasses.feature)}" data-feature="${feature}"${identifiers}>${escapeHtml(featureName)}</span>`;
+}
+
+// Generate the badge for a Rule heading, so the addon can show the rolled-up status of the
+// scenarios of the rule. The options are those of getBadgeTag.
+function getRuleBadgeTag(featureName, ruleName, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  const identifiers = getIdentifierAttributes({ ...options, rule: null });
+  return `<span class="${escapeHtml(badgeClasses.rule)}" data-feature="${escapeHtml(normalizeName(featureName))}"`
+    + ` data-rule="${escapeHtml(normalizeName(ruleName))}"${identifiers}>${escapeHtml(ruleName)}</span>`;
+}
+
+// List the rows of all Examples tables of a Scenario Outline as
+// { examples, index, values, name, line }: the name of the Examples table, the 1-based index
+// of the row in that table, the values by column header, the name of the scenario with the
+// placeholders filled in (as Cucumber reports it) and the line in the feature file.
+function getExampleRows(scenario) {
+  const rows = [];
+  for (const exampleTable of scenario.examples || []) {
+    if (!exampleTable.tableHeader) {
+      continue;
+    }
+    const headers = exampleTable.tableHeader.cells.map(cell => cell.value);
+    exampleTable.tableBody.forEach((row, index) => {
+      const values = {};
+      headers.forEach((header, column) => {
+        values[header] = row.cells[column] ? row.cells[column].value : '';
+      });
+      rows.push({
+        examples: exampleTable.name,
+        index: index + 1,
+        values,
+        name: scenario.name.replace(/<([^<>]*)>/g, (placeholder, header) => header in values ? values[header] : placeholder),
+        line: row.location.line,
+      });
+    });
   }
+  return rows;
+}
 
-  return `<span class="bdd-badge-feature" data-feature="${featureName}">${featureName}</span>`;
+// Generate the badge for a single row of an Examples table.
+// The options are those of getBadgeTag, the rule, featureFile and id are for the row.
+function getExampleBadgeTag(featureName, outlineName, exampleRow, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  const identifiers = getIdentifierAttributes({ ...options, line: exampleRow.line });
+  return `<span class="${escapeHtml(badgeClasses.example)}" data-feature="${escapeHtml(normalizeName(featureName))}"`
+    + ` data-scenario-outline="${escapeHtml(normalizeName(outlineName))}" data-scenario="${escapeHtml(normalizeName(exampleRow.name))}"`
+    + ` data-examples="${escapeHtml(normalizeName(exampleRow.examples))}" data-example-index="${exampleRow.index}"`
+    + ` data-example-values="${escapeHtml(JSON.stringify(exampleRow.values))}"${identifiers}></span>`;
 }
 
 // Handle Scenario Outline differently - you can customize the behavior here
-function handleScenarioOutline(scenario, featureName) {
-  console.log(`Processing Scenario Outline: ${scenario.name}`);
-  
-  // You can add custom logic here for scenario outlines
-  // For example, you might want to:
-  // 1. Add different styling/badges
-  // 2. Process the examples table differently
-  // 3. Generate badges for each example row
-  
+// Every row of the Examples tables gets its own badge in an extra column, because Cucumber
+// reports a result per row; the badge of the outline itself shows the aggregated status.
+// The options are passed on to getBadgeTag; with exampleBadges set to false the rows get no badge.
+// The lookupResult(scenarioName, line) option returns the test result of a row, if known, as
+// { status, duration }.
+function handleScenarioOutline(scenario, featureName, options = {}) {
+  logVerbose(`Processing Scenario Outline: ${scenario.name}`);
+  const { exampleBadges = true, lookupResult } = options;
+  const exampleRows = getExampleRows(scenario);
+  const rowResults = exampleRows.map(row => lookupResult ? lookupResult(row.name, row.line) : undefined);
+
   if (scenario.examples && scenario.examples.length > 0) {
-    console.log(`  Found ${scenario.examples.length} examples table(s)`);
+    logVerbose(`  Found ${scenario.examples.length} examples table(s)`);
+    let rowNumber = 0;
     scenario.examples.forEach((exampleTable, index) => {
-      if (exampleTable.tableBody) {
-        console.log(`  Examples table ${index + 1} has ${exampleTable.tableBody.length} data rows`);
+      if (!exampleTable.tableHeader) {
+        return;
+      }
+      logVerbose(`  Examples table ${index + 1} has ${exampleTable.tableBody.length} data rows`);
+      if (!exampleBadges) {
+        return;
+      }
+
+      exampleTable.tableHeader.cells.push({ location: exampleTable.tableHeader.location, value: '' });
+      for (const row of exampleTable.tableBody) {
+        const resultOptions = getResultOptions(rowResults[rowNumber]);
+        const exampleRow = exampleRows[rowNumber++];
+        const id = getBadgeId(options.featureFile, featureName, options.rule, scenario.name, `${exampleRow.examples}#${exampleRow.index}`);
+        row.cells.push({ location: row.location, value: getExampleBadgeTag(featureName, scenario.name, exampleRow, { ...options, id, ...resultOptions }) });
       }
     });
   }
   
-  return getBadgeTag(featureName, null, scenario.name);
+  return getBadgeTag(featureName, null, scenario.name, { ...options, ...getResultOptions(combineResults(rowResults)) });
+}
+
+// List every step of a feature: those of its backgrounds and scenarios, also inside rules
+function getAllSteps(feature) {
+  const steps = [];
+  const children = [...feature.children];
+  while (children.length > 0) {
+    const child = children.shift();
+    if (child.rule) {
+      children.push(...child.rule.children);
+    }
+    const stepContainer = child.background || child.scenario;
+    if (stepContainer) {
+      steps.push(...stepContainer.steps);
+    }
+  }
+  return steps;
+}
+
+// Generate the tag with the result of a step, added at the end of the step text.
+// A step of a Background or Scenario Outline runs for several scenarios; it shows the worst
+// result of all of them. The options are the badgeClasses and the line of the step.
+function getStepResultTag(stepResults, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses, line } = options;
+  const identifiers = getIdentifierAttributes({ line, ...getResultOptions(combineResults(stepResults)) });
+  return `<span class="${escapeHtml(badgeClasses.step)}"${identifiers}></span>`;
+}
+
+// Describe the errors of the failed results of a step in collapsible <details> blocks, with the
+// first line of the error as the summary. For a step that ran for several scenarios, the summary
+// names the scenario. Blank lines are left out, because they end an HTML block in Markdown.
+function getStepErrorDetails(stepResults, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  const shared = new Set(stepResults.map(step => step.scenarioName)).size > 1;
+  return stepResults
+    .filter(step => step.status === 'failed')
+    .map(step => {
+      const errorLines = (step.error || '').split('\n').filter(line => line.trim() !== '');
+      if (errorLines.length === 0) {
+        errorLines.push('The step failed without an error message.');
+      }
+      const summary = shared ? `${step.scenarioName}: ${errorLines[0]}` : errorLines[0];
+      return `<details class="${escapeHtml(badgeClasses.stepError)}"><summary>${escapeHtml(summary)}</summary>\n`
+        + `<pre>${escapeHtml(errorLines.join('\n'))}</pre>\n`
+        + '</details>';
+    });
+}
+
+// A line with the tags of a feature, rule, scenario or Examples table, as the Markdown of
+// pretty() has them: each tag in backticks, just above the heading they belong to
+const TAG_LINE = /^`@[^`]*`(?: `@[^`]*`)*$/;
+
+// Generate the chips of a list of tags, so they can be styled instead of showing as code.
+// The options are the badgeClasses.
+function getTagChips(tagNames, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  return tagNames
+    .map(tagName => `<span class="${escapeHtml(badgeClasses.tag)}" data-tag="${escapeHtml(tagName)}">${escapeHtml(tagName)}</span>`)
+    .join(' ');
+}
+
+// Replace the lines with tags in the Markdown by their chips, see getTagChips()
+function renderTagChips(markdown, options = {}) {
+  return markdown
+    .split('\n')
+    .map(line => TAG_LINE.test(line) ? getTagChips(line.split(' ').map(tag => tag.slice(1, -1)), options) : line)
+    .join('\n');
+}
+
+// Generate the anchor id of a heading from its text, with the slugify MkDocs uses by default (that
+// of the toc extension of Python-Markdown): the text in lowercase ASCII, without punctuation and
+// with dashes between the words. The usedAnchors of the page make it unique, like MkDocs does,
+// with _1, _2 and so on.
+function getHeadingAnchor(text, usedAnchors = new Set()) {
+  let anchor = text.normalize('NFKD')
+    .replace(/[^\x00-\x7F]/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[-\s]+/g, '-');
+  while (!anchor || usedAnchors.has(anchor)) {
+    const numbered = anchor.match(/^(.*)_(\d+)$/);
+    anchor = numbered ? `${numbered[1]}_${Number(numbered[2]) + 1}` : `${anchor}_1`;
+  }
+  usedAnchors.add(anchor);
+  return anchor;
+}
+
+// Determine the anchor ids of the feature, rule and scenario headings of a feature, as a Map from
+// the nodes to their id: the name as written (or the keyword, when it has none), see
+// getHeadingAnchor(). Must be called before the badges are added to the names.
+function getHeadingAnchors(feature) {
+  const anchors = new Map();
+  const usedAnchors = new Set();
+  const addAnchor = node => {
+    anchors.set(node, getHeadingAnchor(node.name.trim() || node.keyword, usedAnchors));
+  };
+  const addChildren = children => {
+    for (const child of children) {
+      const node = child.scenario || child.rule;
+      if (node) {
+        addAnchor(node);
+      }
+      if (child.rule) {
+        addChildren(child.rule.children);
+      }
+    }
+  };
+  addAnchor(feature);
+  addChildren(feature.children);
+  return anchors;
+}
+
+// Generate the anchor in front of the name in a heading, so links to it do not depend on the
+// heading ids of the site generator. It carries the line of the heading in the feature file, so
+// references to a line can be resolved to the heading it belongs to.
+function getAnchorTag(anchor, line) {
+  return `<a id="${escapeHtml(anchor)}" data-line="${line}"></a>`;
+}
+
+// Insert the error details of failed steps in the Markdown, after the step and its data table
+// or doc string. The steps are found by the line in their result tag.
+function insertStepErrors(markdown, stepErrors, options = {}) {
+  const { badgeClasses = DEFAULT_CONFIG.badgeClasses } = options;
+  const lines = markdown.split('\n');
+  for (const [line, details] of stepErrors) {
+    const marker = `<span class="${escapeHtml(badgeClasses.step)}" data-line="${line}"`;
+    const stepIndex = lines.findIndex(text => text.startsWith('* ') && text.includes(marker));
+    if (stepIndex === -1) {
+      continue;
+    }
+    let end = stepIndex + 1;
+    while (end < lines.length && !lines[end].startsWith('* ') && !lines[end].startsWith('#') && !TAG_LINE.test(lines[end])) {
+      end++;
+    }
+    while (end > stepIndex + 1 && lines[end - 1].trim() === '') {
+      end--;
+    }
+    const inserted = ['', ...details.flatMap((block, index) => index > 0 ? ['', block] : [block])];
+    if (end < lines.length && lines[end].trim() !== '') {
+      inserted.push('');
+    }
+    lines.splice(end, 0, ...inserted);
+  }
+  return lines.join('\n');
 }
 
 // Filter out comment lines from markdown while preserving headings
@@ -138,105 +632,1061 @@ function fixTableFormatting(markdown) {
   return fixedLines.join('\n');
 }
 
-// Zet een feature-bestand om naar Markdown met badges
-function convertFeatureToMarkdown(featurePath) {
-  console.log(`Processing: ${featurePath}`);
-  const featureText = fs.readFileSync(featurePath, 'utf8');
+// Scenario Outlines are regular scenarios with a different keyword in the Gherkin AST
+function isScenarioOutline(scenario) {
+  return Boolean(scenario.keyword && scenario.keyword.trim() === 'Scenario Outline');
+}
+
+// Parse the text of a feature file into a Gherkin document
+function parseFeature(featureText) {
   const uuidFn = IdGenerator.uuid();
   const builder = new AstBuilder(uuidFn);
   const matcher = new GherkinClassicTokenMatcher();
   const parser = new Parser(builder, matcher);
-  const gherkinDocument = parser.parse(featureText);
+  return parser.parse(featureText);
+}
 
-  console.log(`# items in feature: ${gherkinDocument.feature.children.length}`);
-  
-  // Add badge to the feature name
-  const featureName = gherkinDocument.feature.name;
-//  gherkinDocument.feature.name += getBadgeTag(featureName, null);
-  gherkinDocument.feature.name = getBadgeTag(featureName, null);
+// Stub page for a feature file without a Feature, such as an empty work-in-progress file
+function emptyFeatureToMarkdown(uri, config = DEFAULT_CONFIG) {
+  const latestBuildBadge = config.latestBuildBadge ? `${config.latestBuildBadge}\n` : '';
+  const title = uri ? escapeHtml(path.basename(uri)) : 'Feature';
+  return `${latestBuildBadge}# ${title}
 
-  // Add badge to the scenario names
-  for (const child of gherkinDocument.feature.children) {
-    // Scenario directly under feature
+This feature has not been described yet.
+`;
+}
+
+// Names of the tags of a feature, rule, scenario or Examples table
+function getTagNames(node) {
+  return (node.tags || []).map(tag => tag.name);
+}
+
+// Leave out the scenarios, and the Examples tables of Scenario Outlines, whose tags do not match
+// the Cucumber tag expression. Like Cucumber, scenarios inherit the tags of their feature and
+// rule, and example rows those of their outline. Rules without scenarios left are removed.
+// Returns whether anything of the feature is left; a feature without scenarios is judged by its own tags.
+function filterByTags(feature, tagExpression) {
+  let scenarioCount = 0;
+  let keptCount = 0;
+
+  const keepScenario = (scenario, inheritedTags) => {
+    const tags = [...inheritedTags, ...getTagNames(scenario)];
+    if (scenario.examples.length === 0) {
+      return tagExpression.evaluate(tags);
+    }
+    scenario.examples = scenario.examples.filter(examples => tagExpression.evaluate([...tags, ...getTagNames(examples)]));
+    return scenario.examples.length > 0;
+  };
+
+  const filterChildren = (children, inheritedTags) => children.filter(child => {
     if (child.scenario) {
-      // Check if this is a Scenario Outline by looking at the keyword
-      if (child.scenario.keyword && child.scenario.keyword.trim() === 'Scenario Outline') {
-        console.log(`Adding badge to scenario outline: ${child.scenario.name}`);
-        child.scenario.name = handleScenarioOutline(child.scenario, featureName);
-      } else {
-        console.log(`Adding badge to scenario: ${child.scenario.name}`);
-        child.scenario.name = getBadgeTag(featureName, child.scenario.name);
+      scenarioCount++;
+      const keep = keepScenario(child.scenario, inheritedTags);
+      keptCount += keep ? 1 : 0;
+      return keep;
+    }
+    if (child.rule) {
+      const ruleTags = [...inheritedTags, ...getTagNames(child.rule)];
+      const hadScenarios = child.rule.children.some(ruleChild => ruleChild.scenario);
+      child.rule.children = filterChildren(child.rule.children, ruleTags);
+      return hadScenarios
+        ? child.rule.children.some(ruleChild => ruleChild.scenario)
+        : tagExpression.evaluate(ruleTags);
+    }
+    return true;
+  });
+
+  feature.children = filterChildren(feature.children, getTagNames(feature));
+  return scenarioCount === 0 ? tagExpression.evaluate(getTagNames(feature)) : keptCount > 0;
+}
+
+// Convert the text of a feature file to Markdown with badges, without touching the file system.
+// The options are those of the configuration file (see config.js), plus the uri of the
+// feature file that is used in warnings, the relative featureFile path put in the badges and
+// the test results to bake into the badges (see createResultsIndex() in results.js).
+// Returns the Markdown together with metadata about the feature:
+//   { markdown, featureName, line, description, tags, rules, scenarios, result, duration, excluded, warnings }
+// where each scenario is { name, keyword, rule, line, tags, allTags, anchor, outline, id, examples, result, duration },
+// allTags has the tags of its feature, rule and Examples tables as well, anchor is the id of the
+// anchor in its heading (see getHeadingAnchors()) and examples lists the rows of a Scenario Outline, see getExampleRows(), each with its result
+// and duration. They are undefined when there are no test results for them.
+// For a file without a Feature (empty or only comments) the markdown is null, or a stub page
+// when the emptyFeature option is 'stub'. With the tags option only the scenarios matching that
+// tag expression are converted; when none match, excluded is set and the markdown is null.
+function featureToMarkdown(featureText, options = {}) {
+  const { uri, featureFile, results, ...configOptions } = options;
+  const config = resolveConfig(configOptions);
+  const gherkinDocument = parseFeature(featureText);
+  const feature = gherkinDocument.feature;
+  const warnings = [];
+  const scenarios = [];
+  const rules = [];
+
+  if (!feature) {
+    const stub = config.emptyFeature === 'stub';
+    warnings.push(`${uri || 'Feature file'}: the file has no Feature, ${stub ? 'a stub page is generated' : 'it is skipped'}`);
+    return {
+      markdown: stub ? emptyFeatureToMarkdown(uri, config) : null,
+      featureName: null,
+      line: null,
+      description: '',
+      tags: [],
+      rules,
+      scenarios,
+      excluded: false,
+      warnings,
+    };
+  }
+
+  if (config.tags.trim() && !filterByTags(feature, parseTagExpression(config.tags))) {
+    return {
+      markdown: null,
+      featureName: feature.name,
+      line: feature.location.line,
+      description: feature.description.trim(),
+      tags: getTagNames(feature),
+      rules,
+      scenarios,
+      excluded: true,
+      warnings,
+    };
+  }
+
+  logVerbose(`# items in feature: ${feature.children.length}`);
+
+  const featureName = feature.name;
+  const anchors = getHeadingAnchors(feature);
+  const addBadges = Boolean(featureName);
+  if (!addBadges) {
+    warnings.push(`${uri || 'Feature'}: the feature has no name, no badges are generated`);
+  }
+
+  // Look up the test result of a scenario or example row as { status, duration, steps }, when there are test results
+  const scenarioResults = [];
+  const stepResults = new Map();
+  const addStepResults = (testResult) => {
+    for (const step of testResult ? testResult.steps : []) {
+      if (!stepResults.has(step.line)) {
+        stepResults.set(step.line, []);
       }
-      continue;
+      stepResults.get(step.line).push(step);
     }
+  };
+  const lookupResult = (scenarioName, line) => results
+    ? results.lookup({ featureFile, featureName, scenarioName, line })
+    : undefined;
 
-    // Scenario Outline directly under feature (fallback, shouldn't be needed)
-    if (child.scenarioOutline) {
-      console.log(`Adding badge to scenario outline: ${child.scenarioOutline.name}`);
-      child.scenarioOutline.name = handleScenarioOutline(child.scenarioOutline, featureName);
+  // Add badge to a scenario or scenario outline and record it in the metadata
+  const addScenarioBadge = (scenario, rule) => {
+    const outline = isScenarioOutline(scenario);
+    const ruleName = rule ? rule.name : null;
+    const id = getBadgeId(featureFile, featureName, ruleName, scenario.name);
+    const exampleRows = outline ? getExampleRows(scenario) : [];
+    const rowResults = exampleRows.map(row => lookupResult(row.name, row.line));
+    const scenarioResult = outline ? combineResults(rowResults) : lookupResult(scenario.name, scenario.location.line);
+    const resultOptions = getResultOptions(scenarioResult);
+    scenarioResults.push(scenarioResult);
+    (outline ? rowResults : [scenarioResult]).forEach(addStepResults);
+    scenarios.push({
+      name: scenario.name,
+      keyword: scenario.keyword.trim(),
+      rule: ruleName,
+      line: scenario.location.line,
+      tags: getTagNames(scenario),
+      allTags: [...new Set([
+        ...getTagNames(feature),
+        ...(rule ? getTagNames(rule) : []),
+        ...getTagNames(scenario),
+        ...scenario.examples.flatMap(getTagNames),
+      ])],
+      anchor: anchors.get(scenario),
+      outline,
+      id,
+      examples: exampleRows.map((row, index) => ({ ...row, ...getResultOptions(rowResults[index]) })),
+      ...resultOptions,
+    });
+    if (!addBadges) {
+      return;
+    }
+    const badgeOptions = {
+      badgeClasses: config.badgeClasses,
+      exampleBadges: config.exampleBadges,
+      featureFile,
+      rule: ruleName,
+      line: scenario.location.line,
+      id,
+      ...resultOptions,
+      lookupResult,
+    };
+    logVerbose(`${rule ? '  ' : ''}Adding badge to ${outline ? 'scenario outline' : 'scenario'}: ${scenario.name}`);
+    scenario.name = outline
+      ? handleScenarioOutline(scenario, featureName, badgeOptions)
+      : getBadgeTag(featureName, scenario.name, null, badgeOptions);
+  };
+
+  // Add badge to the scenario names
+  for (const child of feature.children) {
+    // Scenario directly under feature
+    if (child.scenario) {
+      addScenarioBadge(child.scenario, null);
       continue;
     }
 
     // Scenario nested under rule
     if (child.rule) {
-      console.log(`Processing scenarios under rule: ${child.rule.name}`);
+      logVerbose(`Processing scenarios under rule: ${child.rule.name}`);
+      rules.push(child.rule.name);
+      const firstScenario = scenarioResults.length;
       for (const scenarioUnderRule of child.rule.children) {
         if (scenarioUnderRule.scenario) {
-          // Check if this is a Scenario Outline by looking at the keyword
-          if (scenarioUnderRule.scenario.keyword && scenarioUnderRule.scenario.keyword.trim() === 'Scenario Outline') {
-            console.log(`  Adding badge to scenario outline: ${scenarioUnderRule.scenario.name}`);
-            scenarioUnderRule.scenario.name = handleScenarioOutline(scenarioUnderRule.scenario, featureName);
-          } else {
-            console.log(`  Adding badge to scenario: ${scenarioUnderRule.scenario.name}`);
-            scenarioUnderRule.scenario.name = getBadgeTag(featureName, scenarioUnderRule.scenario.name);
-          }
-        } else if (scenarioUnderRule.scenarioOutline) {
-          console.log(`  Adding badge to scenario outline: ${scenarioUnderRule.scenarioOutline.name}`);
-          // Handle Scenario Outline under rule differently (fallback)
-          scenarioUnderRule.scenarioOutline.name = handleScenarioOutline(scenarioUnderRule.scenarioOutline, featureName);
+          addScenarioBadge(scenarioUnderRule.scenario, child.rule);
         }
       }
+
+      // Add badge to the rule name, after its scenarios have used the plain name
+      if (addBadges && child.rule.name) {
+        logVerbose(`Adding badge to rule: ${child.rule.name}`);
+        child.rule.name = getRuleBadgeTag(featureName, child.rule.name, {
+          badgeClasses: config.badgeClasses,
+          featureFile,
+          line: child.rule.location.line,
+          id: getBadgeId(featureFile, featureName, child.rule.name),
+          ...getResultOptions(combineResults(scenarioResults.slice(firstScenario))),
+        });
+      }
     }
   }
 
-  // Save the converted Markdown to a new file
+  // Add badge to the feature name, with the status derived from all of its scenarios
+  const featureResult = getResultOptions(combineResults(scenarioResults));
+  if (addBadges) {
+    feature.name = getBadgeTag(featureName, null, null, {
+      badgeClasses: config.badgeClasses,
+      featureFile,
+      line: feature.location.line,
+      id: getBadgeId(featureFile, featureName),
+      ...featureResult,
+    });
+  }
+
+  // Add the result to every step that has one, the errors of failed steps follow after rendering
+  const stepErrors = new Map();
+  if (config.stepResults) {
+    for (const step of getAllSteps(feature)) {
+      const resultsOfStep = stepResults.get(step.location.line);
+      if (!resultsOfStep) {
+        continue;
+      }
+      step.text += ` ${getStepResultTag(resultsOfStep, { badgeClasses: config.badgeClasses, line: step.location.line })}`;
+      const details = getStepErrorDetails(resultsOfStep, { badgeClasses: config.badgeClasses });
+      if (details.length > 0) {
+        stepErrors.set(step.location.line, details);
+      }
+    }
+  }
+
+  // Put the anchors in front of the names, after the badges
+  for (const [node, anchor] of anchors) {
+    node.name = getAnchorTag(anchor, node.location.line) + node.name;
+  }
+
   // At the top, add a badge for the latest build
-  const latestBuildBadge = `<p style="text-align:right"><span class="bdd-badge-latestbuild-tooltip"><span class="bdd-badge-latestbuild"></span></span></p>\n`;
+  const latestBuildBadge = config.latestBuildBadge ? `${config.latestBuildBadge}\n` : '';
   let markdown = pretty(gherkinDocument, 'markdown');
   
   // Remove comment lines (lines that start with # but are not headings)
   // We need to be careful not to remove markdown headings
-  markdown = filterOutComments(markdown);
+  if (config.stripComments) {
+    markdown = filterOutComments(markdown);
+  }
   
   // Fix table formatting to ensure proper Markdown table rendering
-  markdown = fixTableFormatting(markdown);
+  if (config.fixTables) {
+    markdown = fixTableFormatting(markdown);
+  }
+
+  if (stepErrors.size > 0) {
+    markdown = insertStepErrors(markdown, stepErrors, { badgeClasses: config.badgeClasses });
+  }
+
+  if (config.tagChips) {
+    markdown = renderTagChips(markdown, { badgeClasses: config.badgeClasses });
+  }
   
   // Ensure the file ends with a newline for proper Markdown parsing
   if (!markdown.endsWith('\n')) {
     markdown += '\n';
   }
-  
-  const outPath = featurePath.replace(/\.feature/, '.generated.md');
-  fs.writeFileSync(outPath, latestBuildBadge + markdown);
-  console.log(`Converted and stored as: ${outPath}`);
+
+  return {
+    markdown: latestBuildBadge + markdown,
+    featureName,
+    line: feature.location.line,
+    description: feature.description.trim(),
+    tags: getTagNames(feature),
+    rules,
+    scenarios,
+    ...featureResult,
+    excluded: false,
+    warnings,
+  };
+}
+
+// Describe the errors of a failed conversion as a list of { line, column, message }.
+// Gherkin parse errors carry the location of every problem in the file; other errors,
+// such as a file that cannot be read, only have a message.
+function getParseErrors(error) {
+  const errors = error.errors && error.errors.length > 0 ? error.errors : [error];
+  return errors.map(({ location, message }) => ({
+    line: location && location.line !== undefined ? location.line : null,
+    column: location && location.column !== undefined ? location.column : null,
+    // The Gherkin parser prefixes its messages with the location, which is reported separately
+    message: message.replace(/^\(\d+:\d+\): /, ''),
+  }));
 }
 
-function main() {
-  const featureFiles = findFeatureFiles(process.cwd());
-  if (featureFiles.length === 0) {
-    console.log(`No .feature-files found in ${process.cwd()}.`);
-  } else {
-    featureFiles.forEach(featurePath => convertFeatureToMarkdown(featurePath));
-    console.log(`${featureFiles.length} feature files converted.`);
+// Format a parse error as path:line:column: message, like compilers do
+function formatParseError(featurePath, { line, column, message }) {
+  const location = [featurePath, line, column].filter(part => part !== null).join(':');
+  return `${location}: ${message}`;
+}
+
+// Placeholder page for a feature file that could not be converted, so the docs site still builds
+function parseErrorToMarkdown(featurePath, errors, config = DEFAULT_CONFIG) {
+  const fileName = path.basename(featurePath);
+  const latestBuildBadge = config.latestBuildBadge ? `${config.latestBuildBadge}\n` : '';
+  const errorLines = errors.map(({ line, column, message }) => {
+    const location = line === null ? '' : column === null ? `Line ${line}: ` : `Line ${line}, column ${column}: `;
+    return `* ${location}${escapeHtml(message)}`;
+  });
+
+  return `${latestBuildBadge}# ${escapeHtml(fileName)}
+
+This page could not be generated because ${escapeHtml(fileName)} contains errors:
+
+${errorLines.join('\n')}
+`;
+}
+
+// Write the Markdown to outPath, or only report it with dryRun. A file that already has this
+// content is left alone, so its modification time does not change and it does not show up in
+// diffs. Returns whether the file was (or would be) written.
+function writeMarkdown(outPath, markdown, dryRun) {
+  if (fs.existsSync(outPath) && fs.readFileSync(outPath, 'utf8') === markdown) {
+    logVerbose(`Unchanged: ${outPath}`);
+    return false;
+  }
+  if (dryRun) {
+    if (staleFiles) {
+      reportStaleFile(outPath, markdown);
+    } else {
+      console.log(`Would write: ${outPath}`);
+    }
+    return true;
   }
+
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, markdown);
+  return true;
 }
 
-// Export functions for testing
-export { findFeatureFiles, getBadgeTag, handleScenarioOutline, filterOutComments, fixTableFormatting, convertFeatureToMarkdown, main };
+// Start a generated page with the comment naming the feature file it was generated from, so
+// --clean can tell when the page is orphaned
+function withSourceMarker(markdown, featurePath, outPath) {
+  return `${getSourceMarker(path.relative(path.dirname(path.resolve(outPath)), path.resolve(featurePath)))}\n${markdown}`;
+}
+
+// Convert a feature file like convertFeatureToMarkdown(), but return the result of
+// featureToMarkdown() with the featureFile and outPath added. The outPath is null when the file
+// is skipped, see the excluded flag for features left out by the tags option.
+// With a cache (see cache.js) a file that did not change since it was converted last is not
+// converted again, the result comes from the cache and has cached set. The markdown is the
+// content of the file, which starts with a comment naming the feature file, see clean.js.
+// The written flag tells whether the file was (or with dryRun would be) written, which it is
+// not when it already has this content.
+function convertFeature(featurePath, { outPath, dryRun = false, config = DEFAULT_CONFIG, results, cache } = {}) {
+  logVerbose(`Processing: ${featurePath}`);
+  const featureText = fs.readFileSync(featurePath, 'utf8');
+  const featureFile = toPosixPath(path.relative(process.cwd(), featurePath));
+  outPath = outPath || getOutputPath(featurePath, null, null, config);
+
+  // Test results differ with every run, so the cache is only used without them
+  const cacheKey = cache && !results
+    ? getCacheKey(featureText, { featureFile, outPath: toPosixPath(path.relative(process.cwd(), outPath)), config })
+    : null;
+  const cached = cacheKey ? cache.lookup(featurePath, cacheKey) : undefined;
+  if (cached) {
+    logVerbose(`Unchanged since the last run: ${featurePath}`);
+    cached.result.warnings.forEach(warning => console.warn(warning));
+    return { ...cached.result, markdown: cached.markdown, featureFile, outPath: cached.outPath, cached: true, written: false };
+  }
+
+  const { markdown: page, ...result } = featureToMarkdown(featureText, { ...config, uri: featurePath, featureFile, results });
+  const markdown = page === null ? null : withSourceMarker(page, featurePath, outPath);
+  result.warnings.forEach(warning => console.warn(warning));
+  if (cacheKey) {
+    cache.store(featurePath, { key: cacheKey, outPath: markdown === null ? null : outPath, markdown, result });
+  }
+
+  if (markdown === null) {
+    return { ...result, markdown, featureFile, outPath: null, cached: false, written: false };
+  }
+
+  // Save the converted Markdown to a new file
+  const written = writeMarkdown(outPath, markdown, dryRun);
+  if (!dryRun) {
+    logInfo(written ? `Converted and stored as: ${outPath}` : `Converted, unchanged: ${outPath}`);
+  }
+  return { ...result, markdown, featureFile, outPath, cached: false, written };
+}
+
+// Zet een feature-bestand om naar Markdown met badges
+// Without an explicit outPath the Markdown is stored next to the feature file.
+// With dryRun nothing is written; the path that would be written is returned either way.
+// Gherkin syntax errors are thrown as they are, use getParseErrors() to report them.
+// Returns null when the file has no Feature or no scenario matching the tags option, and is skipped.
+// The results are the test results to bake into the badges, see loadResults() in results.js.
+function convertFeatureToMarkdown(featurePath, options = {}) {
+  return convertFeature(featurePath, options).outPath;
+}
+
+// Describe a converted feature for the index pages, see index-pages.js. The title is the
+// feature badge, or the file name for a feature without a name. The tagged scenarios are
+// listed for the tag index page.
+function getIndexEntry(featurePath, converted, config = DEFAULT_CONFIG) {
+  const title = converted.featureName
+    ? getBadgeTag(converted.featureName, null, null, {
+      badgeClasses: config.badgeClasses,
+      featureFile: converted.featureFile,
+      line: converted.line,
+      id: getBadgeId(converted.featureFile, converted.featureName),
+      result: converted.result,
+      duration: converted.duration,
+    })
+    : escapeHtml(path.basename(featurePath));
+  return {
+    outPath: converted.outPath,
+    title,
+    description: converted.description,
+    tags: converted.tags,
+    scenarios: converted.scenarios.length,
+    rules: converted.rules.length,
+    taggedScenarios: converted.scenarios
+      .filter(scenario => scenario.allTags.length > 0)
+      .map(scenario => ({ title: escapeHtml(scenario.name), anchor: scenario.anchor, tags: scenario.allTags })),
+  };
+}
+
+// Write the index pages for the features converted below each output root, leaving pages
+// that were written by hand alone. Returns { pages, written }: the paths of the generated index
+// pages, for the navigation, and of those that were (or would be) written as they changed.
+function writeIndexPages(entriesByRoot, config, dryRun) {
+  const pages = [];
+  const written = [];
+  for (const [outRoot, entries] of entriesByRoot) {
+    const indexPages = getIndexPages(entries, { outRoot, mode: config.indexPages, fileName: config.indexFileName });
+    for (const { indexPath, folder, entries: pageEntries } of indexPages) {
+      if (!isGeneratedFile(indexPath)) {
+        console.warn(`Not overwriting ${indexPath}: it was not generated by feature2markdown`);
+        continue;
+      }
+      pages.push(indexPath);
+      if (writeMarkdown(indexPath, indexPageToMarkdown(indexPath, pageEntries, config, folder), dryRun)) {
+        logVerbose(`Stored index page as: ${indexPath}`);
+        written.push(indexPath);
+      }
+    }
+  }
+  return { pages, written };
+}
+
+// Write the tag index page at each output root when the tagIndex option is set, leaving pages
+// that were written by hand alone. Returns { pages, written } like writeIndexPages().
+function writeTagIndexPages(entriesByRoot, config, dryRun) {
+  const pages = [];
+  const written = [];
+  for (const [outRoot, entries] of entriesByRoot) {
+    if (!config.tagIndex || entries.length === 0) {
+      continue;
+    }
+    const tagIndexPath = path.join(outRoot, config.tagIndexFileName);
+    if (!isGeneratedFile(tagIndexPath)) {
+      console.warn(`Not overwriting ${tagIndexPath}: it was not generated by feature2markdown`);
+      continue;
+    }
+    pages.push(tagIndexPath);
+    if (writeMarkdown(tagIndexPath, tagIndexToMarkdown(tagIndexPath, entries, config), dryRun)) {
+      logVerbose(`Stored tag index page as: ${tagIndexPath}`);
+      written.push(tagIndexPath);
+    }
+  }
+  return { pages, written };
+}
+
+// Write the MkDocs navigation of the generated pages, given as { path, title, index }, see nav.js.
+// The paths are relative to the navDocsDir option or, without one, to the output root when there
+// is a single one. Files that were written by hand are left alone. Returns the files that were
+// (or would be) written as they changed.
+function writeNavigation(pages, outRoots, config, dryRun) {
+  if (config.nav === 'none' || pages.length === 0) {
+    return [];
+  }
+
+  const docsDir = config.navDocsDir
+    ? path.resolve(config.navDocsDir)
+    : outRoots.length === 1 ? outRoots[0] : process.cwd();
+  pages
+    .filter(page => !isInside(docsDir, path.resolve(page.path)))
+    .forEach(page => console.warn(`Not in the navigation: ${page.path} is outside the docs directory ${docsDir}`));
+
+  const tree = buildNavTree(pages, docsDir);
+  const files = config.nav === 'pages'
+    ? navTreeToPagesFiles(tree, docsDir)
+    : [{ filePath: config.navFile ? path.resolve(config.navFile) : path.join(docsDir, 'nav.yml'), lines: navTreeToYaml(tree) }];
+
+  const written = [];
+  for (const { filePath, lines } of files) {
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const content = updateNavFile(existing, lines);
+    if (content === null) {
+      console.warn(`Not overwriting ${filePath}: it was not generated by feature2markdown and has no "${NAV_BEGIN}" and "${NAV_END}" comments`);
+      continue;
+    }
+    if (writeMarkdown(filePath, content, dryRun)) {
+      logVerbose(`Stored navigation as: ${filePath}`);
+      written.push(filePath);
+    }
+  }
+  return written;
+}
+
+// The options of findFeatureFiles() for the command line options and configuration of main()
+function getFindOptions(options, config) {
+  return {
+    include: options.include || config.include,
+    exclude: [...config.exclude, ...options.exclude],
+    respectGitignore: config.respectGitignore && options.gitignore,
+  };
+}
+
+// Convert a feature file found below rootPath for main(), and record it in features: a Map from
+// the path of every feature file found to { rootPath, outRoot, outPath, entry, page }, with the
+// entry for the index pages and the page for the navigation when it was converted. The outPath
+// is null when nothing was written; the page generated by an earlier run is then removed, so
+// features that no longer match the tags are not published. Returns 'converted', 'up-to-date'
+// (converted, but the page already had this content), 'unchanged' (from the cache), 'skipped',
+// 'excluded' or 'failed'.
+function convertFoundFeature(featurePath, rootPath, { options, config, results, cache, features }) {
+  const outPath = getOutputPath(featurePath, rootPath, options.outDir, config);
+  const record = { rootPath, outRoot: options.outDir ? path.resolve(options.outDir) : rootPath, outPath: null, entry: null, page: null };
+  features.set(featurePath, record);
+  try {
+    const convertedFeature = convertFeature(featurePath, { outPath, dryRun: options.dryRun, config, results, cache });
+    if (convertedFeature.outPath) {
+      record.outPath = convertedFeature.outPath;
+      record.entry = getIndexEntry(featurePath, convertedFeature, config);
+      record.page = { path: convertedFeature.outPath, title: convertedFeature.featureName || path.basename(featurePath) };
+      if (convertedFeature.cached) {
+        return 'unchanged';
+      }
+      return convertedFeature.written ? 'converted' : 'up-to-date';
+    }
+    if (isGeneratedFrom(outPath, featurePath)) {
+      removeOutput(outPath, options.dryRun);
+    }
+    if (convertedFeature.excluded) {
+      logVerbose(`No scenarios of ${featurePath} match the tags ${config.tags}, it is left out`);
+      return 'excluded';
+    }
+    return 'skipped';
+  } catch (error) {
+    // Report the error and carry on with the next file, the summary follows at the end
+    const errors = getParseErrors(error);
+    errors.forEach(parseError => console.error(formatParseError(featurePath, parseError)));
+    if (config.parseErrorPlaceholder || options.placeholderOnError) {
+      writeMarkdown(outPath, withSourceMarker(parseErrorToMarkdown(featurePath, errors, config), featurePath, outPath), options.dryRun);
+      logInfo(`Stored placeholder for ${featurePath} as: ${outPath}`);
+      record.outPath = outPath;
+    }
+    return 'failed';
+  }
+}
+
+// Write the index pages, tag index pages and navigation of the features converted by main(),
+// see convertFoundFeature() for the features
+function writeOverviews(features, outRoots, config, dryRun) {
+  // The index pages of all roots written to the same output directory are combined
+  const indexEntries = new Map(outRoots.map(outRoot => [outRoot, []]));
+  const navPages = [];
+  for (const { outRoot, entry, page } of features.values()) {
+    if (entry) {
+      indexEntries.get(outRoot).push(entry);
+      navPages.push(page);
+    }
+  }
+
+  const indexPages = writeIndexPages(indexEntries, config, dryRun);
+  if (indexPages.written.length > 0) {
+    logInfo(dryRun
+      ? `${indexPages.written.length} index pages would be written.`
+      : `${indexPages.written.length} index pages written.`);
+  }
+
+  const tagIndexPages = writeTagIndexPages(indexEntries, config, dryRun);
+  if (tagIndexPages.written.length > 0) {
+    logInfo(dryRun
+      ? `${tagIndexPages.written.length} tag index pages would be written.`
+      : `${tagIndexPages.written.length} tag index pages written.`);
+  }
+
+  indexPages.pages.forEach(indexPath => navPages.push({ path: indexPath, title: config.indexTitle, index: true }));
+  tagIndexPages.pages.forEach(tagIndexPath => navPages.push({ path: tagIndexPath, title: config.tagIndexTitle }));
+  const navFiles = writeNavigation(navPages, outRoots, config, dryRun);
+  if (navFiles.length > 0) {
+    logInfo(`Navigation ${dryRun ? 'would be written' : 'written'} to ${navFiles.length === 1 ? navFiles[0] : `${navFiles.length} files`}.`);
+  }
+}
+
+// Delete the Markdown of a feature file that was removed or is no longer converted
+function removeOutput(outPath, dryRun) {
+  if (!outPath || !fs.existsSync(outPath)) {
+    return;
+  }
+  if (dryRun) {
+    if (staleFiles) {
+      reportStaleFile(outPath, null);
+    } else {
+      console.log(`Would remove: ${outPath}`);
+    }
+    return;
+  }
+  fs.unlinkSync(outPath);
+  logInfo(`Removed: ${outPath}`);
+}
+
+// Remove the generated pages below the output roots whose feature file was renamed or removed,
+// see clean.js. Returns the number of pages removed, or that would be removed with dryRun.
+function removeOrphanedPages(outRoots, config, dryRun) {
+  let removed = 0;
+  for (const outRoot of outRoots) {
+    if (!fs.existsSync(outRoot)) {
+      continue;
+    }
+    for (const { pagePath, sourcePath } of findOrphanedPages(outRoot, config)) {
+      logVerbose(`${pagePath} was generated from ${sourcePath}, which no longer exists`);
+      removeOutput(pagePath, dryRun);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Check whether a changed file may hold references to feature files for fix-feature-references:
+// a Markdown or YAML file that was not generated by feature2markdown. The outPaths are those of
+// the generated pages.
+function hasFeatureReferences(filePath, outPaths) {
+  return /\.(md|ya?ml)$/.test(filePath)
+    && !outPaths.has(filePath)
+    && fs.existsSync(filePath)
+    && !isGeneratedFile(filePath);
+}
+
+// Check whether a file mentions one of the feature files by name, as a cheap test for references
+// to them
+function mentionsFeatureFile(filePath, featurePaths) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return featurePaths.some(featurePath => {
+    const fileName = path.basename(featurePath);
+    return content.includes(fileName) || content.includes(encodeURI(fileName));
+  });
+}
+
+// Keep the Markdown up to date with the feature files below the roots after the first run of
+// main(), see watch.js. Added and changed feature files are converted, the Markdown of removed
+// ones is deleted and the references are fixed as fix-feature-references does: in the Markdown
+// and YAML files that changed, and in the files below the roots that mention a feature file that
+// got or lost its page. With dryRun the changes to them are only shown. The index pages and
+// navigation follow every batch of changes.
+// The state is that of main(), see convertFoundFeature(). Returns the watcher, to close it.
+function watchFeatures(rootPaths, { options, config, results, cache, features, outRoots }) {
+  const findOptions = getFindOptions(options, config);
+  // Excluded directories such as node_modules are not watched
+  const skipDirectory = dir => rootPaths.some(rootPath => {
+    const relativePath = toPosixPath(path.relative(rootPath, dir));
+    return relativePath !== '' && isInside(rootPath, dir) && matchesAny(`${relativePath}/`, findOptions.exclude);
+  });
+
+  const applyChanges = (changedPaths) => {
+    let changes = 0;
+    // The feature files whose page was added or removed
+    const changedFeatures = [];
+    for (const rootPath of rootPaths) {
+      const changedBelowRoot = new Set(changedPaths.filter(changedPath => isInside(rootPath, changedPath)));
+      if (changedBelowRoot.size === 0) {
+        continue;
+      }
+
+      const featureFiles = findFeatureFiles(rootPath, findOptions);
+      const found = new Set(featureFiles);
+      for (const [featurePath, record] of features) {
+        if (record.rootPath === rootPath && !found.has(featurePath)) {
+          logInfo(`Feature file removed: ${featurePath}`);
+          features.delete(featurePath);
+          removeOutput(record.outPath, options.dryRun);
+          changedFeatures.push(featurePath);
+          changes++;
+        }
+      }
+
+      for (const featurePath of featureFiles) {
+        const previous = features.get(featurePath);
+        if (previous && !changedBelowRoot.has(featurePath)) {
+          continue;
+        }
+        const status = convertFoundFeature(featurePath, rootPath, { options, config, results, cache, features });
+        // The pages of skipped and excluded features are removed by convertFoundFeature()
+        if (status === 'failed' && previous && previous.outPath && !features.get(featurePath).outPath) {
+          removeOutput(previous.outPath, options.dryRun);
+        }
+        if (status === 'failed') {
+          console.error(`${featurePath} could not be converted.`);
+        }
+        if ((previous ? previous.outPath : null) !== features.get(featurePath).outPath) {
+          changedFeatures.push(featurePath);
+        }
+        outRoots.add(features.get(featurePath).outRoot);
+        changes++;
+      }
+    }
+
+    const outPaths = new Set([...features.values()].map(record => record.outPath));
+    const referencingPaths = new Set(changedPaths.filter(changedPath => hasFeatureReferences(changedPath, outPaths)));
+    if (changedFeatures.length > 0) {
+      rootPaths
+        .flatMap(rootPath => findReferencingFiles(rootPath, findOptions))
+        .filter(filePath => hasFeatureReferences(filePath, outPaths) && mentionsFeatureFile(filePath, changedFeatures))
+        .forEach(filePath => referencingPaths.add(filePath));
+    }
+    referencingPaths.forEach(filePath => replaceFeatureReferences(filePath, {
+      roots: rootPaths,
+      outDir: options.outDir,
+      config,
+      check: options.dryRun,
+    }));
+
+    if (changes > 0) {
+      writeOverviews(features, [...outRoots], config, options.dryRun);
+    }
+    if (cache) {
+      cache.save(options.dryRun);
+    }
+  };
+
+  // A batch that cannot be processed, for instance because a file disappeared halfway, is
+  // reported instead of stopping the watcher
+  const onChange = (changedPaths) => {
+    try {
+      applyChanges(changedPaths);
+    } catch (error) {
+      console.error(`Could not process the changes to ${changedPaths.join(', ')}: ${error.message}`);
+    }
+  };
+
+  logInfo(`Watching ${rootPaths.join(', ')} for changes. Press Ctrl+C to stop.`);
+  return watchDirectories(rootPaths, onChange, { skipDirectory });
+}
+
+// Check the feature files below the roots for quality issues instead of converting them, see
+// lint.js, and report them in the lintFormat of the options. Feature files that cannot be parsed
+// are reported as well. The exit code is 1 when there are errors.
+function lintFeatureFiles(roots, options, config) {
+  const issues = [];
+  for (const root of roots) {
+    const rootPath = path.resolve(root);
+    if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+      console.error(`Not a directory: ${root}`);
+      process.exitCode = 1;
+      continue;
+    }
+    for (const featurePath of findFeatureFiles(rootPath, getFindOptions(options, config))) {
+      const file = toPosixPath(path.relative(process.cwd(), featurePath));
+      let gherkinDocument;
+      try {
+        gherkinDocument = parseFeature(fs.readFileSync(featurePath, 'utf8'));
+      } catch (error) {
+        getParseErrors(error).forEach(({ line, column, message }) => {
+          issues.push({ file, line, column, rule: 'parseError', severity: 'error', message });
+        });
+        continue;
+      }
+      if (gherkinDocument.feature) {
+        lintFeature(gherkinDocument.feature, config.lint).forEach(issue => issues.push({ file, ...issue }));
+      }
+    }
+  }
+
+  console.log(formatIssues(issues, options.lintFormat));
+  if (issues.some(issue => issue.severity === 'error')) {
+    process.exitCode = 1;
+  }
+}
 
-main();
+// Parse the command line arguments into options for main()
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', short: 'c' },
+      include: { type: 'string', short: 'i', multiple: true },
+      exclude: { type: 'string', short: 'x', multiple: true },
+      'no-gitignore': { type: 'boolean', default: false },
+      tags: { type: 'string', short: 't' },
+      'placeholder-on-error': { type: 'boolean', short: 'p', default: false },
+      'empty-feature': { type: 'string', short: 'e' },
+      index: { type: 'string' },
+      nav: { type: 'string' },
+      'tag-index': { type: 'boolean', default: false },
+      results: { type: 'string', short: 'r', multiple: true },
+      'out-dir': { type: 'string', short: 'o' },
+      'dry-run': { type: 'boolean', short: 'n', default: false },
+      check: { type: 'boolean', default: false },
+      lint: { type: 'boolean', default: false },
+      'lint-format': { type: 'string', default: 'text' },
+      watch: { type: 'boolean', short: 'w', default: false },
+      cache: { type: 'boolean', default: false },
+      clean: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
 
-// Run main function only if this file is executed directly
-//if (import.meta.url === `file://${process.argv[1]}`) {
-// main();
-//}
+  if (values.quiet && values.verbose) {
+    throw new Error('--quiet and --verbose cannot be used together');
+  }
+  if (values.check && values.watch) {
+    throw new Error('--check and --watch cannot be used together');
+  }
+  if (values.lint && values.watch) {
+    throw new Error('--lint and --watch cannot be used together');
+  }
+  if (!LINT_FORMATS.includes(values['lint-format'])) {
+    throw new Error(`--lint-format must be one of ${LINT_FORMATS.join(', ')}, got "${values['lint-format']}"`);
+  }
+
+  return {
+    roots: positionals.length > 0 ? positionals : [process.cwd()],
+    configPath: values.config,
+    include: values.include,
+    exclude: values.exclude || [],
+    gitignore: !values['no-gitignore'],
+    tags: values.tags,
+    placeholderOnError: values['placeholder-on-error'],
+    emptyFeature: values['empty-feature'],
+    indexPages: values.index,
+    nav: values.nav,
+    tagIndex: values['tag-index'],
+    results: values.results || [],
+    outDir: values['out-dir'],
+    // Check mode writes nothing either
+    dryRun: values['dry-run'] || values.check,
+    check: values.check,
+    lint: values.lint,
+    lintFormat: values['lint-format'],
+    watch: values.watch,
+    cache: values.cache,
+    clean: values.clean,
+    logLevel: values.quiet ? 'quiet' : values.verbose ? 'verbose' : 'normal',
+    help: values.help,
+  };
+}
+
+function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  setLogLevel(options.logLevel);
+  staleFiles = options.check ? [] : null;
+
+  let config;
+  try {
+    const loaded = loadConfig({ configPath: options.configPath });
+    // Options on the command line override the configuration
+    const overrides = {};
+    if (options.tags !== undefined) {
+      overrides.tags = options.tags;
+    }
+    if (options.emptyFeature) {
+      overrides.emptyFeature = options.emptyFeature;
+    }
+    if (options.indexPages) {
+      overrides.indexPages = options.indexPages;
+    }
+    if (options.nav) {
+      overrides.nav = options.nav;
+    }
+    if (options.tagIndex) {
+      overrides.tagIndex = true;
+    }
+    if (options.cache) {
+      overrides.cache = true;
+    }
+    config = Object.keys(overrides).length > 0
+      ? resolveConfig({ ...loaded.config, ...overrides }, 'the command line')
+      : loaded.config;
+    if (loaded.source) {
+      logVerbose(`Using configuration from ${loaded.source}`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.lint) {
+    lintFeatureFiles(options.roots, options, config);
+    return;
+  }
+
+  let results;
+  try {
+    results = options.results.length > 0 ? loadResults(options.results, config.junit) : undefined;
+    if (results) {
+      logVerbose(`Loaded ${results.results.length} test results from ${options.results.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  const cache = config.cache ? loadCache(config.cacheFile) : undefined;
+  let converted = 0;
+  let upToDate = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let excluded = 0;
+  const failures = [];
+  const rootPaths = [];
+  const outRoots = new Set();
+  const features = new Map();
+  for (const root of options.roots) {
+    const rootPath = path.resolve(root);
+    if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+      console.error(`Not a directory: ${root}`);
+      process.exitCode = 1;
+      continue;
+    }
+    rootPaths.push(rootPath);
+
+    const featureFiles = findFeatureFiles(rootPath, getFindOptions(options, config));
+    if (featureFiles.length === 0) {
+      logInfo(`No .feature-files found in ${rootPath}.`);
+      continue;
+    }
+
+    // The index pages of all roots written to the same output directory are combined
+    outRoots.add(options.outDir ? path.resolve(options.outDir) : rootPath);
+
+    for (const featurePath of featureFiles) {
+      const status = convertFoundFeature(featurePath, rootPath, { options, config, results, cache, features });
+      if (status === 'converted') {
+        converted++;
+      } else if (status === 'up-to-date') {
+        upToDate++;
+      } else if (status === 'unchanged') {
+        unchanged++;
+      } else if (status === 'excluded') {
+        excluded++;
+      } else if (status === 'skipped') {
+        skipped++;
+      } else {
+        failures.push(featurePath);
+      }
+    }
+  }
+
+  if (converted > 0) {
+    logInfo(options.dryRun
+      ? `${converted} feature files would be converted.`
+      : `${converted} feature files converted.`);
+  }
+  if (upToDate > 0) {
+    logInfo(`${upToDate} feature files already up to date.`);
+  }
+  if (unchanged > 0) {
+    logInfo(`${unchanged} feature files unchanged since the last run.`);
+  }
+  if (skipped > 0) {
+    logInfo(`${skipped} feature files without a Feature skipped.`);
+  }
+  if (excluded > 0) {
+    logInfo(`${excluded} feature files without scenarios matching ${config.tags} left out.`);
+  }
+
+  if (options.clean) {
+    // Also the roots without feature files left, their pages are all orphaned
+    const cleanRoots = options.outDir ? [path.resolve(options.outDir)] : rootPaths;
+    const removed = removeOrphanedPages(cleanRoots, config, options.dryRun);
+    logInfo(options.dryRun
+      ? `${removed} orphaned pages would be removed.`
+      : `${removed} orphaned pages removed.`);
+  }
+
+  writeOverviews(features, [...outRoots], config, options.dryRun);
+  if (cache) {
+    cache.save(options.dryRun);
+  }
+
+  // Report the test results that did not end up in any badge, so the matching can be tuned.
+  // With --tags the results of the scenarios that are left out are expected not to match.
+  const unmatched = results && !config.tags.trim() ? results.unmatched() : [];
+  if (unmatched.length > 0) {
+    console.warn(`${unmatched.length} test result(s) did not match any scenario:`);
+    unmatched.forEach(result => console.warn(`  ${result.source}: ${result.featureName} > ${result.scenarioName}`));
+  }
+
+  if (failures.length > 0) {
+    console.error(`${failures.length} feature file(s) could not be converted:`);
+    failures.forEach(featurePath => console.error(`  ${featurePath}`));
+    process.exitCode = 1;
+  }
+
+  if (staleFiles && staleFiles.length > 0) {
+    console.error(`${staleFiles.length} generated file(s) are out of date, run feature2markdown to update them:`);
+    staleFiles.forEach(({ filePath }) => console.error(`  ${filePath}`));
+    process.exitCode = 1;
+  }
+
+  if (options.watch) {
+    return watchFeatures(rootPaths, { options, config, results, cache, features, outRoots });
+  }
+}
+
+// Export functions for testing
+export {
+  findFeatureFiles, getBadgeTag, getRuleBadgeTag, getExampleRows, getExampleBadgeTag, handleScenarioOutline, getStepResultTag, getStepErrorDetails,
+  getTagChips, getHeadingAnchor, getAnchorTag,
+  filterOutComments, fixTableFormatting,
+  escapeHtml, normalizeName, getBadgeId, getOutputPath, parseFeature, emptyFeatureToMarkdown, featureToMarkdown, convertFeature, convertFeatureToMarkdown, getIndexEntry,
+  getParseErrors, formatParseError,
+  parseErrorToMarkdown, parseCommandLine, setLogLevel, main
+};
+
+// Run main function only if this file is executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))) {
+  main();
+}
@@ -1,11 +1,50 @@
+#!/usr/bin/env node
 // =============================================================
 // Feature2Markdown
 //
-// Recursively searches for references to .feature files
-// in Markdown files and replaces them with .feature.md references.
+// Recursively searches for references to .feature files in Markdown and
+// YAML files and replaces them with references to the generated pages.
+// Only real references are rewritten: the targets of Markdown links,
+// images and reference definitions, and YAML values that are a path.
+// Each target is resolved relative to the file it is in and only rewritten
+// when the feature file was converted, so prose such as "this feature."
+// and URLs are left alone. References to a scenario, such as
+// login.feature#Log in with a password or login.feature:42, are pointed
+// at the anchor of its heading in the generated page. References to
+// feature files that do not exist or have no generated page, and to
+// scenarios that are not in it, are reported as dangling.
+// The generated pages are named as the configuration of feature2markdown
+// says, see output-path.js, for the same roots and --out-dir as given to
+// feature2markdown. After changing the naming, --migrate-from rewrites the
+// links to the pages with the old names as well.
 // =============================================================
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { getMarkedSource } from './clean.js';
+import { normalizeName } from './results.js';
+import { DEFAULT_CONFIG, resolveConfig, loadConfig } from './config.js';
+import { toPosixPath, isInside, getOutputPath, getFeaturePath } from './output-path.js';
+import { unifiedDiff } from './diff.js';
+
+const USAGE = `Usage: fix-feature-references [options] [root...]
+
+Rewrites the links to .feature files in the Markdown and YAML files below the
+current directory to their generated pages. Give the same roots (default: the
+current directory) and --out-dir as to feature2markdown.
+
+Options:
+  -c, --config <file>  Use this configuration file instead of searching for
+                       feature2md.config.json or a "feature2md" key in package.json
+  -o, --out-dir <dir>  The feature files were converted to <dir>, mirroring the tree below
+                       each root, instead of next to the .feature file
+      --migrate-from <suffix|template>
+                       Also rewrite the links to pages named with this outputSuffix or
+                       outputTemplate, such as .feature.md, to the current names
+      --check          Write nothing, but show the changes that would be made and exit
+                       with 1 when there are any
+  -h, --help           Show this help`;
 
 function findMarkdownFiles(dir) {
     let results = [];
@@ -26,29 +65,358 @@ function findMarkdownFiles(dir) {
     return results;
 }
 
-function replaceFeatureReferences(filePath) {
-    let content = fs.readFileSync(filePath, 'utf8');
-    // Replace any string ending with .feature (not already .feature.md or .feature.yml)
-    const replaced = content.replace(/(\S+?\.feature)(?!\.(?:md|yml|yaml)\b)/g, (match) => {
-        return match.replace(/\.feature$/, '.generated.md');
+// Blank out fenced code blocks and inline code spans, keeping the offsets, so the references in
+// code examples are left alone
+function maskMarkdownCode(content) {
+    let inFence = null;
+    const lines = content.split('\n').map(line => {
+        const fence = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (inFence) {
+            if (fence && fence[1][0] === inFence[0] && fence[1].length >= inFence.length) {
+                inFence = null;
+            }
+            return ' '.repeat(line.length);
+        }
+        if (fence) {
+            inFence = fence[1];
+            return ' '.repeat(line.length);
+        }
+        return line.replace(/(`+)[^`]*?\1/g, code => ' '.repeat(code.length));
     });
-    if (replaced !== content) {
+    return lines.join('\n');
+}
+
+// Find the link targets in Markdown: of inline links and images, and of reference definitions.
+// Returns [{ start, end }] with the offsets of each target, without its angle brackets.
+function findMarkdownTargets(content) {
+    const masked = maskMarkdownCode(content);
+    const targets = [];
+    const addTarget = (match) => {
+        const [start, end] = match.indices[1];
+        const angled = content[start] === '<';
+        targets.push(angled ? { start: start + 1, end: end - 1 } : { start, end });
+    };
+
+    const inlineLink = /\]\(\s*(<[^>\n]*>|[^\s()<>]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/dg;
+    for (const match of masked.matchAll(inlineLink)) {
+        addTarget(match);
+    }
+    const referenceDefinition = /^ {0,3}\[[^\]\n]+\]:[ \t]*(<[^>\n]*>|\S+)/dgm;
+    for (const match of masked.matchAll(referenceDefinition)) {
+        addTarget(match);
+    }
+    return targets.sort((a, b) => a.start - b.start);
+}
+
+// Find the YAML values that may be a path: plain or quoted scalars after a key or list item,
+// such as the pages of the nav section of mkdocs.yml. Returns [{ start, end }] like findMarkdownTargets().
+function findYamlTargets(content) {
+    const targets = [];
+    const scalar = /^[ \t]*(?:- +)*(?:[^\s#:'"][^#:\n]*?:[ \t]+)?(?:"([^"\n]*)"|'([^'\n]*)'|([^\s#'"][^\n]*?))[ \t]*(?:[ \t]#.*)?$/dgm;
+    for (const match of content.matchAll(scalar)) {
+        const group = [1, 2, 3].find(index => match[index] !== undefined);
+        if (group !== undefined) {
+            const [start, end] = match.indices[group];
+            targets.push({ start, end });
+        }
+    }
+    return targets;
+}
+
+// Check whether a link target is a URL, such as https://example.com/x.feature, rather than a path
+function isUrl(target) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//');
+}
+
+// Split a link target into { targetPath, line, query, fragment }: the path, the line number of a
+// file.feature:42 reference and the query and fragment that follow it, or null when absent
+function splitTarget(target) {
+    const hashIndex = target.indexOf('#');
+    const fragment = hashIndex === -1 || hashIndex === target.length - 1 ? null : target.slice(hashIndex + 1);
+    const withoutFragment = hashIndex === -1 ? target : target.slice(0, hashIndex);
+    const queryIndex = withoutFragment.indexOf('?');
+    const query = queryIndex === -1 ? '' : withoutFragment.slice(queryIndex);
+    const targetPath = queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex);
+    const lineMatch = targetPath.match(/\.feature:(\d+)$/);
+    return {
+        targetPath: lineMatch ? targetPath.slice(0, -lineMatch[1].length - 1) : targetPath,
+        line: lineMatch ? Number(lineMatch[1]) : null,
+        query,
+        fragment,
+    };
+}
+
+// Decode the %-escapes in the path of a link target, when it has any
+function decodeTargetPath(targetPath) {
+    try {
+        return decodeURI(targetPath);
+    } catch {
+        // Not encoded after all, use it as it is
+        return targetPath;
+    }
+}
+
+// Resolve the path of a link target to a file. Paths starting with / are relative to baseDir.
+// Returns null for URLs.
+function resolveTargetPath(targetPath, fromDir, baseDir) {
+    if (isUrl(targetPath)) {
+        return null;
+    }
+    const decoded = decodeTargetPath(targetPath);
+    return decoded.startsWith('/') ? path.join(baseDir, decoded) : path.resolve(fromDir, decoded);
+}
+
+// Write the path of a page as a link target in the style of the targetPath it replaces: relative
+// to the file it is in or, when it started with /, to baseDir, keeping a leading ./ and %-escapes
+function formatTargetPath(pagePath, targetPath, fromDir, baseDir) {
+    let formatted = targetPath.startsWith('/')
+        ? `/${path.relative(baseDir, pagePath)}`
+        : path.relative(fromDir, pagePath);
+    formatted = toPosixPath(formatted);
+    if (targetPath.startsWith('./') && !formatted.startsWith('.')) {
+        formatted = `./${formatted}`;
+    }
+    return decodeTargetPath(targetPath) !== targetPath ? encodeURI(formatted) : formatted;
+}
+
+// The text of a heading without its HTML, as the reader sees it
+function getHeadingText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// List the feature, rule and scenario headings of a generated page by the anchors in front of
+// their names (see getAnchorTag() in feature2markdown.js), as [{ anchor, line, name, heading }]
+// with line the line of the heading in the feature file and heading the text including the keyword
+function getPageHeadings(content) {
+    const anchorLine = /^#+ ([^\n]*?)<a id="([^"]*)" data-line="(\d+)"><\/a>(.*)$/gm;
+    return [...content.matchAll(anchorLine)].map(([, keyword, anchor, line, name]) => ({
+        anchor: getHeadingText(anchor),
+        line: Number(line),
+        name: getHeadingText(name),
+        heading: `${getHeadingText(keyword)} ${getHeadingText(name)}`,
+    }));
+}
+
+// Find the anchor of the heading a reference points to in a generated page: for a line, the
+// heading of the scenario, rule or feature that line belongs to; for a fragment, the heading
+// with that anchor or with that name, with or without its keyword. Returns null when there is none.
+function findHeadingAnchor(content, { line, fragment }) {
+    const headings = getPageHeadings(content);
+    if (headings.length === 0) {
+        return null;
+    }
+    if (line !== null) {
+        const before = headings.filter(heading => heading.line <= line);
+        const heading = before.length > 0
+            ? before.reduce((last, current) => current.line > last.line ? current : last)
+            : headings[0];
+        return heading.anchor;
+    }
+
+    let name = fragment;
+    try {
+        name = decodeURIComponent(fragment);
+    } catch {
+        // Not encoded after all, use it as it is
+    }
+    const normalized = normalizeName(name).toLowerCase();
+    const heading = headings.find(candidate => candidate.anchor === name)
+        || headings.find(candidate => [candidate.name, candidate.heading]
+            .some(text => normalizeName(text).toLowerCase() === normalized));
+    return heading ? heading.anchor : null;
+}
+
+// The root a feature file was converted from: the innermost of the roots it is below, or null
+// when it is below none of them
+function findRoot(featurePath, roots) {
+    return roots
+        .filter(root => isInside(root, featurePath))
+        .reduce((found, root) => found === null || root.length > found.length ? root : found, null);
+}
+
+// The generated page of a feature file below one of the roots, named as the naming options say,
+// or null when the feature file is not below any of them
+function getPagePath(featurePath, roots, outDir, naming) {
+    const root = findRoot(featurePath, roots);
+    return root === null ? null : getOutputPath(featurePath, root, outDir, naming);
+}
+
+// The feature file below one of the roots that a page named as the naming options say was
+// generated from, or null when there is none
+function findFeatureOfPage(pagePath, roots, outDir, naming) {
+    for (const root of roots) {
+        const featurePath = getFeaturePath(pagePath, root, outDir, naming);
+        if (featurePath && isInside(root, featurePath) && fs.existsSync(featurePath)) {
+            return featurePath;
+        }
+    }
+    return null;
+}
+
+// Count the line of an offset in the content, for reporting
+function getLineNumber(content, offset) {
+    return content.slice(0, offset).split('\n').length;
+}
+
+// Rewrite the references to converted feature files in a Markdown or YAML file to their generated
+// pages, named as the outputSuffix and outputTemplate of the config say (see output-path.js) for
+// the feature files below the roots (default: baseDir) converted to outDir, as feature2markdown does.
+// With migrateFrom, the naming options used before, references to the pages named that way are
+// rewritten to the current names as well. With check the file is not written, the diff of the
+// changes is shown instead. Returns { updated, dangling } with updated whether the file was (or
+// would be) changed and dangling the references that could not be rewritten as
+// [{ line, target, reason }]; they are reported as warnings as well.
+function replaceFeatureReferences(filePath, options = {}) {
+    const { baseDir = process.cwd(), outDir = null, config = DEFAULT_CONFIG, migrateFrom = null, check = false } = options;
+    const roots = (options.roots || [baseDir]).map(root => path.resolve(root));
+    const content = fs.readFileSync(filePath, 'utf8');
+    // Leave the pages generated by feature2markdown alone, they name their feature file on purpose
+    if (getMarkedSource(content) !== null) {
+        return { updated: false, dangling: [] };
+    }
+
+    const isYaml = /\.ya?ml$/.test(filePath);
+    const targets = isYaml ? findYamlTargets(content) : findMarkdownTargets(content);
+    const fromDir = path.dirname(path.resolve(filePath));
+    const dangling = [];
+    let replaced = content;
+    // From the end, so the offsets of the earlier targets stay valid
+    for (const { start, end } of [...targets].reverse()) {
+        const target = content.slice(start, end);
+        const { targetPath, line, query, fragment } = splitTarget(target);
+        const resolvedPath = resolveTargetPath(targetPath, fromDir, baseDir);
+        if (resolvedPath === null) {
+            continue;
+        }
+
+        // A page named as before the migration, which is rewritten when its feature file exists
+        if (!targetPath.endsWith('.feature')) {
+            const featurePath = migrateFrom && findFeatureOfPage(resolvedPath, roots, outDir, migrateFrom);
+            const pagePath = featurePath && getPagePath(featurePath, roots, outDir, config);
+            if (pagePath && pagePath !== resolvedPath) {
+                const rewritten = formatTargetPath(pagePath, targetPath, fromDir, baseDir) + query + (fragment === null ? '' : `#${fragment}`);
+                replaced = replaced.slice(0, start) + rewritten + replaced.slice(end);
+            }
+            continue;
+        }
+
+        const pagePath = getPagePath(resolvedPath, roots, outDir, config);
+        if (pagePath === null || !fs.existsSync(pagePath)) {
+            const reason = fs.existsSync(resolvedPath) ? 'the feature file has no generated page' : 'the feature file does not exist';
+            dangling.unshift({ line: getLineNumber(content, start), target, reason });
+            continue;
+        }
+        // Point references to a scenario name or a line at the anchor of its heading
+        let anchor = fragment;
+        if (line !== null || fragment !== null) {
+            anchor = findHeadingAnchor(fs.readFileSync(pagePath, 'utf8'), { line, fragment });
+            if (anchor === null) {
+                const reason = line !== null
+                    ? 'the generated page has no headings to link to'
+                    : `the generated page has no heading "${fragment}"`;
+                dangling.unshift({ line: getLineNumber(content, start), target, reason });
+                continue;
+            }
+        }
+        const rewritten = formatTargetPath(pagePath, targetPath, fromDir, baseDir) + query + (anchor === null ? '' : `#${anchor}`);
+        replaced = replaced.slice(0, start) + rewritten + replaced.slice(end);
+    }
+
+    dangling.forEach(({ line, target, reason }) => console.warn(`${filePath}:${line}: ${target}: ${reason}`));
+    if (replaced !== content && check) {
+        const relativePath = toPosixPath(path.relative(baseDir, filePath));
+        console.log(unifiedDiff(content, replaced, { oldName: relativePath, newName: `${relativePath} (fixed)` }).trimEnd());
+    } else if (replaced !== content) {
         fs.writeFileSync(filePath, replaced, 'utf8');
         console.log(`Updated: ${filePath}`);
     }
+    return { updated: replaced !== content, dangling };
+}
+
+// Parse the command line arguments into options for main()
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            'out-dir': { type: 'string', short: 'o' },
+            'migrate-from': { type: 'string' },
+            check: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    // A template has placeholders, anything else is a suffix
+    const migrateFrom = values['migrate-from'];
+    return {
+        roots: positionals.length > 0 ? positionals : [process.cwd()],
+        configPath: values.config,
+        outDir: values['out-dir'],
+        migrateFrom: migrateFrom === undefined
+            ? null
+            : resolveConfig(migrateFrom.includes('{') ? { outputTemplate: migrateFrom } : { outputSuffix: migrateFrom }, '--migrate-from'),
+        check: values.check,
+        help: values.help,
+    };
 }
 
-function main() {
+function main(argv = process.argv.slice(2)) {
+    let options;
+    let config;
+    try {
+        options = parseCommandLine(argv);
+        config = loadConfig({ configPath: options.configPath }).config;
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
     const baseDir = process.cwd();
     const mdFiles = findMarkdownFiles(baseDir);
-    mdFiles.forEach(replaceFeatureReferences);
+    const outdated = [];
+    let danglingCount = 0;
+    mdFiles.forEach(filePath => {
+        const { updated, dangling } = replaceFeatureReferences(filePath, {
+            baseDir,
+            roots: options.roots,
+            outDir: options.outDir,
+            config,
+            migrateFrom: options.migrateFrom,
+            check: options.check,
+        });
+        if (updated) {
+            outdated.push(filePath);
+        }
+        danglingCount += dangling.length;
+    });
+    if (danglingCount > 0) {
+        console.warn(`${danglingCount} reference(s) to feature files could not be rewritten.`);
+    }
+    if (options.check && outdated.length > 0) {
+        console.error(`${outdated.length} file(s) have references to fix, run fix-feature-references to update them:`);
+        outdated.forEach(filePath => console.error(`  ${filePath}`));
+        process.exitCode = 1;
+    }
 }
 
 // Export functions for testing
-export { findMarkdownFiles, replaceFeatureReferences, main };
-main();
+export { findMarkdownFiles, findMarkdownTargets, findYamlTargets, replaceFeatureReferences, parseCommandLine, main };
 
-// Run main function only if this file is executed directly
-// if (import.meta.url === `file://${process.argv[1]}`) {
-//     main();
-// }
+// Run main function only if this file is executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))) {
+    main();
+}
@@ -0,0 +1,146 @@
+// =============================================================
+// Feature2Markdown index pages
+//
+// Generates overview pages listing the converted features, so the
+// documentation site has a landing page for the BDD specifications
+// without maintaining one by hand. With the indexPages option set to
+// 'root' there is one page at the root of the output; with 'directory'
+// every folder with feature pages below it gets one.
+//
+// With the tagIndex option a tag index page at the root of the output
+// lists the scenarios per tag, linking to their headings.
+//
+// The pages are built from entries describing the converted features:
+//   { outPath, title, description, tags, scenarios, rules, taggedScenarios }
+// with title the (badge) HTML of the feature name, scenarios and rules the
+// number of each and taggedScenarios the scenarios with tags as
+// { title, anchor, tags } with title the HTML of the scenario name,
+// counting the tags of their feature and rule.
+// =============================================================
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CONFIG } from './config.js';
+import { toPosixPath, isInside } from './output-path.js';
+
+// First line of every index page; a file without it was written by hand and is never overwritten
+const GENERATED_MARKER = '<!-- Generated by feature2markdown from the feature files. Changes are overwritten. -->';
+
+// Check whether a file may be overwritten: it does not exist yet or has the generated marker
+function isGeneratedFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return true;
+  }
+  return fs.readFileSync(filePath, 'utf8').startsWith(GENERATED_MARKER);
+}
+
+// Make a text fit in a single cell of a Markdown table
+function toTableCell(text) {
+  return String(text).trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+// Determine the index pages for the features converted below outRoot, as
+// [{ indexPath, folder, entries }] with the folder of each page relative to outRoot and the
+// entries of the features below it
+function getIndexPages(entries, { outRoot, mode = DEFAULT_CONFIG.indexPages, fileName = DEFAULT_CONFIG.indexFileName }) {
+  if (mode === 'none' || entries.length === 0) {
+    return [];
+  }
+
+  const rootDir = path.resolve(outRoot);
+  const dirs = new Set([rootDir]);
+  if (mode === 'directory') {
+    for (const entry of entries) {
+      let dir = path.dirname(path.resolve(entry.outPath));
+      while (!dirs.has(dir) && isInside(rootDir, dir)) {
+        dirs.add(dir);
+        dir = path.dirname(dir);
+      }
+    }
+  }
+
+  return [...dirs].sort().map(dir => ({
+    indexPath: path.join(dir, fileName),
+    folder: toPosixPath(path.relative(rootDir, dir)),
+    entries: entries.filter(entry => isInside(dir, path.resolve(entry.outPath))),
+  }));
+}
+
+// Generate the Markdown of an index page: a table of the features per folder, relative to the
+// folder of the page. With indexPages set to 'directory' the folder headings link to their own
+// index. The title of a page below the root names its folder.
+function indexPageToMarkdown(indexPath, entries, config = DEFAULT_CONFIG, folder = '') {
+  const indexDir = path.dirname(path.resolve(indexPath));
+  const groups = new Map();
+  const sorted = [...entries].sort((a, b) => a.outPath.localeCompare(b.outPath));
+  for (const entry of sorted) {
+    const entryFolder = toPosixPath(path.relative(indexDir, path.dirname(path.resolve(entry.outPath))));
+    if (!groups.has(entryFolder)) {
+      groups.set(entryFolder, []);
+    }
+    groups.get(entryFolder).push(entry);
+  }
+
+  const scenarioCount = entries.reduce((total, entry) => total + entry.scenarios, 0);
+  const lines = [GENERATED_MARKER];
+  if (config.latestBuildBadge) {
+    lines.push(config.latestBuildBadge);
+  }
+  const title = folder ? `${config.indexTitle}: ${folder}` : config.indexTitle;
+  lines.push(`# ${title}`, '', `${entries.length} features with ${scenarioCount} scenarios.`);
+
+  // The features directly in the folder of the page come first, without a heading
+  const groupFolders = [...groups.keys()].sort((a, b) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)));
+  for (const groupFolder of groupFolders) {
+    lines.push('');
+    if (groupFolder) {
+      const heading = config.indexPages === 'directory'
+        ? `[${groupFolder}](${encodeURI(`${groupFolder}/${config.indexFileName}`)})`
+        : groupFolder;
+      lines.push(`## ${heading}`, '');
+    }
+    lines.push('| Feature | Description | Tags | Scenarios | Rules |');
+    lines.push('| ------- | ----------- | ---- | --------: | ----: |');
+    for (const entry of groups.get(groupFolder)) {
+      const link = encodeURI(toPosixPath(path.relative(indexDir, path.resolve(entry.outPath))));
+      const tags = entry.tags.map(tag => `\`${tag}\``).join(' ');
+      lines.push(`| ${toTableCell(`[${entry.title}](${link})`)} | ${toTableCell(entry.description)} | ${toTableCell(tags)} | ${entry.scenarios} | ${entry.rules} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Generate the Markdown of the tag index page: a section per tag, in alphabetical order, with a
+// table of its scenarios that links to their headings in the feature pages
+function tagIndexToMarkdown(tagIndexPath, entries, config = DEFAULT_CONFIG) {
+  const indexDir = path.dirname(path.resolve(tagIndexPath));
+  const byTag = new Map();
+  const sorted = [...entries].sort((a, b) => a.outPath.localeCompare(b.outPath));
+  for (const entry of sorted) {
+    const link = encodeURI(toPosixPath(path.relative(indexDir, path.resolve(entry.outPath))));
+    for (const scenario of entry.taggedScenarios || []) {
+      for (const tag of scenario.tags) {
+        if (!byTag.has(tag)) {
+          byTag.set(tag, []);
+        }
+        byTag.get(tag).push({ entry, link, scenario });
+      }
+    }
+  }
+
+  const lines = [GENERATED_MARKER];
+  if (config.latestBuildBadge) {
+    lines.push(config.latestBuildBadge);
+  }
+  lines.push(`# ${config.tagIndexTitle}`, '', `${byTag.size} tags.`);
+  for (const tag of [...byTag.keys()].sort()) {
+    lines.push('', `## ${tag}`, '');
+    lines.push('| Scenario | Feature |');
+    lines.push('| -------- | ------- |');
+    for (const { entry, link, scenario } of byTag.get(tag)) {
+      lines.push(`| ${toTableCell(`[${scenario.title}](${link}#${scenario.anchor})`)} | ${toTableCell(`[${entry.title}](${link})`)} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export { GENERATED_MARKER, isGeneratedFile, getIndexPages, indexPageToMarkdown, tagIndexToMarkdown };
@@ -0,0 +1,185 @@
+// =============================================================
+// Feature2Markdown lint
+//
+// Reports quality issues in the feature files, for the --lint mode.
+// Every rule has a severity in the lint section of the configuration:
+// 'error', 'warning' or 'off'. An issue is
+//   { file, line, column, rule, severity, message }
+// with file the path of the feature file relative to the working
+// directory. The issues can be formatted as text, as JSON or as a SARIF
+// log, which code review tools can show as annotations on a pull request.
+// =============================================================
+import { TOOL_VERSION } from './cache.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { normalizeName } from './results.js';
+
+// What every rule checks, for the SARIF log and the documentation
+const LINT_RULES = {
+  parseError: 'The feature file must be valid Gherkin',
+  duplicateScenarioName: 'The scenarios of a feature must have different names, or their badges and test results cannot be told apart',
+  emptyScenario: 'A scenario must have steps',
+  undefinedPlaceholder: 'The <placeholders> of a Scenario Outline must be columns of its Examples tables',
+  unusedExamplesColumn: 'The columns of an Examples table must be used by its Scenario Outline',
+  missingDescription: 'A feature should have a description',
+  conjunctionFirstStep: 'The first step of a scenario or background must not start with And or But',
+};
+
+// Report formats of --lint-format
+const LINT_FORMATS = ['text', 'json', 'sarif'];
+
+// The names of the placeholders such as <Email> in a text
+function getPlaceholders(text) {
+  return [...new Set([...text.matchAll(/<([^<>]+)>/g)].map(match => match[1]))];
+}
+
+// The texts of a scenario that may hold placeholders: its name and the text, doc string and data
+// table of every step, each with its location
+function getPlaceholderTexts(scenario) {
+  const texts = [{ text: scenario.name, location: scenario.location }];
+  for (const step of scenario.steps) {
+    texts.push({ text: step.text, location: step.location });
+    if (step.docString) {
+      texts.push({ text: step.docString.content, location: step.docString.location });
+    }
+    if (step.dataTable) {
+      step.dataTable.rows.forEach(row => row.cells.forEach(cell => texts.push({ text: cell.value, location: cell.location })));
+    }
+  }
+  return texts;
+}
+
+// Check the parsed feature (the feature of a Gherkin document) and return the issues found as
+// [{ line, column, rule, severity, message }]. The severities are those of the lint configuration; rules
+// that are 'off' are not checked.
+function lintFeature(feature, severities = DEFAULT_CONFIG.lint) {
+  const issues = [];
+  const report = (rule, location, message) => {
+    if (severities[rule] !== 'off') {
+      issues.push({ line: location.line, column: location.column, rule, severity: severities[rule], message });
+    }
+  };
+
+  if (!feature.description.trim()) {
+    report('missingDescription', feature.location, `Feature "${feature.name}" has no description`);
+  }
+
+  const scenarioNames = new Map();
+  const checkSteps = (node, label) => {
+    if (node.steps.length > 0 && node.steps[0].keywordType === 'Conjunction') {
+      report('conjunctionFirstStep', node.steps[0].location, `The first step of ${label} starts with ${node.steps[0].keyword.trim()}`);
+    }
+  };
+  const checkScenario = (scenario) => {
+    const label = `${scenario.keyword} "${scenario.name}"`;
+    const name = normalizeName(scenario.name);
+    if (scenarioNames.has(name)) {
+      report('duplicateScenarioName', scenario.location, `${label} has the same name as the scenario on line ${scenarioNames.get(name)}`);
+    } else {
+      scenarioNames.set(name, scenario.location.line);
+    }
+    if (scenario.steps.length === 0) {
+      report('emptyScenario', scenario.location, `${label} has no steps`);
+    }
+    checkSteps(scenario, label);
+
+    // Only Scenario Outlines, the placeholders of a Scenario without Examples are plain text
+    if (scenario.examples.length === 0) {
+      return;
+    }
+    const tables = scenario.examples.filter(examples => examples.tableHeader);
+    const columns = new Set(tables.flatMap(examples => examples.tableHeader.cells.map(cell => cell.value)));
+    const used = new Set();
+    for (const { text, location } of getPlaceholderTexts(scenario)) {
+      for (const placeholder of getPlaceholders(text)) {
+        used.add(placeholder);
+        if (!columns.has(placeholder)) {
+          report('undefinedPlaceholder', location, `<${placeholder}> is not a column of the Examples of ${label}`);
+        }
+      }
+    }
+    for (const examples of tables) {
+      for (const cell of examples.tableHeader.cells) {
+        if (!used.has(cell.value)) {
+          report('unusedExamplesColumn', cell.location, `Column "${cell.value}" of the Examples is not used by ${label}`);
+        }
+      }
+    }
+  };
+  const checkChildren = (children) => {
+    for (const child of children) {
+      if (child.background) {
+        checkSteps(child.background, `${child.background.keyword} "${child.background.name}"`);
+      } else if (child.scenario) {
+        checkScenario(child.scenario);
+      } else if (child.rule) {
+        checkChildren(child.rule.children);
+      }
+    }
+  };
+  checkChildren(feature.children);
+
+  return issues.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Format the issues as lines of text, like compilers do:
+//   specs/login.feature:12:5: warning: The first step of Scenario "Log in" starts with And (conjunctionFirstStep)
+function formatIssuesAsText(issues) {
+  const lines = issues.map(({ file, line, column, rule, severity, message }) => {
+    const location = [file, line, column].filter(part => part !== null && part !== undefined).join(':');
+    return `${location}: ${severity}: ${message} (${rule})`;
+  });
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  lines.push(`${issues.length} problem(s): ${errors} error(s), ${issues.length - errors} warning(s).`);
+  return lines.join('\n');
+}
+
+// Format the issues as a JSON report: { issues }
+function formatIssuesAsJson(issues) {
+  return JSON.stringify({ issues }, null, 2);
+}
+
+// Format the issues as a SARIF 2.1.0 log
+function formatIssuesAsSarif(issues) {
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'feature2markdown',
+          version: TOOL_VERSION,
+          rules: Object.entries(LINT_RULES).map(([id, description]) => ({
+            id,
+            shortDescription: { text: description },
+            defaultConfiguration: { level: id === 'parseError' ? 'error' : DEFAULT_CONFIG.lint[id] },
+          })),
+        },
+      },
+      results: issues.map(({ file, line, column, rule, severity, message }) => ({
+        ruleId: rule,
+        level: severity,
+        message: { text: message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: file },
+            region: line === null ? undefined : { startLine: line, startColumn: column === null ? undefined : column },
+          },
+        }],
+      })),
+    }],
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+// Format the issues in one of the LINT_FORMATS
+function formatIssues(issues, format = 'text') {
+  if (format === 'json') {
+    return formatIssuesAsJson(issues);
+  }
+  if (format === 'sarif') {
+    return formatIssuesAsSarif(issues);
+  }
+  return formatIssuesAsText(issues);
+}
+
+export { LINT_RULES, LINT_FORMATS, lintFeature, formatIssues };
@@ -0,0 +1,122 @@
+// =============================================================
+// Feature2Markdown navigation
+//
+// Generates the MkDocs navigation for the generated pages, mirroring the
+// folder structure with the feature names as labels, so the nav section
+// of mkdocs.yml no longer has to be edited by hand after every conversion.
+// With the nav option set to 'mkdocs' a YAML list for the nav section is
+// written, either to a file of its own or between marker comments in an
+// existing file such as mkdocs.yml; with 'pages' every folder gets a .pages
+// file for the awesome-pages plugin.
+//
+// The navigation is built from the generated pages as { path, title, index }
+// with index set for the index pages, see index-pages.js.
+// =============================================================
+import path from 'path';
+import { isInside } from './output-path.js';
+
+// First line of every generated navigation file; a file without it was written by hand
+const NAV_MARKER = '# Generated by feature2markdown from the feature files. Changes are overwritten.';
+
+// Marker comments around the generated part of a file that is otherwise written by hand
+const NAV_BEGIN = '# BEGIN feature2markdown nav';
+const NAV_END = '# END feature2markdown nav';
+
+// Quote a label or path for YAML, unless it is plain enough to be read as a string as is
+function toYamlString(text) {
+  return /^[A-Za-z0-9_][\w ./()-]*$/.test(text) && !text.endsWith(' ') ? text : JSON.stringify(text);
+}
+
+// Arrange the pages below baseDir in a tree of folders: { pages, folders } with pages as
+// { fileName, title, index } and folders a Map from folder name to the same structure.
+// Pages outside baseDir are left out.
+function buildNavTree(pages, baseDir) {
+  const tree = { pages: [], folders: new Map() };
+  for (const page of pages) {
+    const pagePath = path.resolve(page.path);
+    if (!isInside(baseDir, pagePath)) {
+      continue;
+    }
+    const parts = path.relative(baseDir, pagePath).split(path.sep);
+    const fileName = parts.pop();
+    let node = tree;
+    for (const part of parts) {
+      if (!node.folders.has(part)) {
+        node.folders.set(part, { pages: [], folders: new Map() });
+      }
+      node = node.folders.get(part);
+    }
+    node.pages.push({ fileName, title: page.title, index: Boolean(page.index) });
+  }
+  return tree;
+}
+
+// The pages of a folder in the order of the navigation: the index page first, then by title
+function getOrderedPages(node) {
+  return [...node.pages].sort((a, b) => (a.index === b.index ? a.title.localeCompare(b.title) : a.index ? -1 : 1));
+}
+
+// The folders of a folder in the order of the navigation, by name
+function getOrderedFolders(node) {
+  return [...node.folders.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+// Convert a navigation tree to the lines of a YAML list for the nav section of mkdocs.yml,
+// with the paths relative to the docs directory. Index pages have no label, MkDocs takes their title.
+function navTreeToYaml(node, prefix = '', indent = '') {
+  const lines = [];
+  for (const page of getOrderedPages(node)) {
+    const target = toYamlString(`${prefix}${page.fileName}`);
+    lines.push(page.index ? `${indent}- ${target}` : `${indent}- ${toYamlString(page.title)}: ${target}`);
+  }
+  for (const [name, folder] of getOrderedFolders(node)) {
+    lines.push(`${indent}- ${toYamlString(name)}:`);
+    lines.push(...navTreeToYaml(folder, `${prefix}${name}/`, `${indent}  `));
+  }
+  return lines;
+}
+
+// Generate the .pages files for the awesome-pages plugin, one for every folder of the tree, as
+// [{ filePath, lines }]; see updateNavFile(). The pages that are not generated are kept, after the others.
+function navTreeToPagesFiles(node, dir) {
+  const lines = ['nav:'];
+  for (const page of getOrderedPages(node)) {
+    const fileName = toYamlString(page.fileName);
+    lines.push(page.index ? `  - ${fileName}` : `  - ${toYamlString(page.title)}: ${fileName}`);
+  }
+  for (const [name] of getOrderedFolders(node)) {
+    lines.push(`  - ${toYamlString(name)}`);
+  }
+  lines.push('  - ...');
+
+  const files = [{ filePath: path.join(dir, '.pages'), lines }];
+  for (const [name, folder] of getOrderedFolders(node)) {
+    files.push(...navTreeToPagesFiles(folder, path.join(dir, name)));
+  }
+  return files;
+}
+
+// Determine the new content of a navigation file from its YAML lines, with existing the current
+// content or null when there is no file yet. Between the marker comments of an existing file
+// only that part is replaced, indented like the markers. Returns null for an existing file
+// without markers that was not generated.
+function updateNavFile(existing, lines) {
+  if (existing === null || existing.startsWith(NAV_MARKER)) {
+    return `${NAV_MARKER}\n${lines.join('\n')}\n`;
+  }
+
+  const existingLines = existing.split('\n');
+  const begin = existingLines.findIndex(line => line.trim() === NAV_BEGIN);
+  const end = existingLines.findIndex((line, index) => index > begin && line.trim() === NAV_END);
+  if (begin === -1 || end === -1) {
+    return null;
+  }
+  const indent = existingLines[begin].match(/^\s*/)[0];
+  return [
+    ...existingLines.slice(0, begin + 1),
+    ...lines.map(line => `${indent}${line}`),
+    ...existingLines.slice(end),
+  ].join('\n');
+}
+
+export { NAV_MARKER, NAV_BEGIN, NAV_END, buildNavTree, navTreeToYaml, navTreeToPagesFiles, updateNavFile };
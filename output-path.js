@@ -0,0 +1,108 @@
+// =============================================================
+// Feature2Markdown output naming
+//
+// Decides where the Markdown of a feature file is written, so the
+// converter and fix-feature-references agree on the name of every
+// generated page. By default the .feature extension is replaced by the
+// outputSuffix (.generated.md). With an outputTemplate, such as
+//   {dir}/{name}.md
+// the path of the page below the output directory is the template with
+// {dir} the directory of the feature file relative to its root and {name}
+// its file name without .feature.
+// The helpers for comparing and writing paths that the other modules share
+// are here as well.
+// =============================================================
+import path from 'path';
+import { DEFAULT_CONFIG } from './config.js';
+
+const TEMPLATE_PLACEHOLDER = /\{(\w*)\}/g;
+
+// Convert a path to the forward slashes used in links and by glob and .gitignore patterns
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Check whether filePath is dir itself or somewhere below it
+function isInside(dir, filePath) {
+  const relativePath = path.relative(dir, filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+// Escape a text for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Determine where the Markdown for a feature file is written. Without an output
+// directory it is stored next to the feature file; with one, the location of the
+// feature file relative to its root is mirrored below the output directory.
+// The naming options are the outputSuffix and outputTemplate of the configuration; with a
+// template the output directory defaults to the root, or the directory of the feature file.
+function getOutputPath(featurePath, root, outDir, naming = DEFAULT_CONFIG) {
+  const { outputSuffix = DEFAULT_CONFIG.outputSuffix, outputTemplate = DEFAULT_CONFIG.outputTemplate } = naming;
+  const name = path.basename(featurePath).replace(/\.feature$/, '');
+  if (outputTemplate) {
+    const baseDir = path.resolve(outDir || root || path.dirname(featurePath));
+    const dir = root ? path.relative(root, path.dirname(featurePath)) : '';
+    const values = { dir: toPosixPath(dir) || '.', name };
+    return path.join(baseDir, outputTemplate.replace(TEMPLATE_PLACEHOLDER, (placeholder, key) => values[key]));
+  }
+
+  const fileName = `${name}${outputSuffix}`;
+  if (!outDir) {
+    return path.join(path.dirname(featurePath), fileName);
+  }
+  const relativeDir = path.relative(root, path.dirname(featurePath));
+  return path.join(path.resolve(outDir), relativeDir, fileName);
+}
+
+// The reverse of getOutputPath(): the feature file a page with this path would have been
+// generated from, or null when the page does not follow the naming
+function getFeaturePath(pagePath, root, outDir, naming = DEFAULT_CONFIG) {
+  const { outputSuffix = DEFAULT_CONFIG.outputSuffix, outputTemplate = DEFAULT_CONFIG.outputTemplate } = naming;
+  if (!outputTemplate) {
+    if (!pagePath.endsWith(outputSuffix)) {
+      return null;
+    }
+    const featureName = `${path.basename(pagePath).slice(0, -outputSuffix.length)}.feature`;
+    if (!outDir) {
+      return path.join(path.dirname(pagePath), featureName);
+    }
+    const relativeDir = path.relative(path.resolve(outDir), path.dirname(pagePath));
+    return path.join(root, relativeDir, featureName);
+  }
+
+  const baseDir = path.resolve(outDir || root || path.dirname(pagePath));
+  const relativePath = toPosixPath(path.relative(baseDir, pagePath));
+  if (relativePath.startsWith('../')) {
+    return null;
+  }
+  // {dir} is . for the feature files in the root, which leaves it out of the path
+  const pattern = outputTemplate.replace('{dir}/', '{dir}').split(TEMPLATE_PLACEHOLDER).map((part, index) => {
+    if (index % 2 === 0) {
+      return escapeRegExp(part);
+    }
+    return part === 'dir' ? '(?:(?<dir>.+?)/)?' : '(?<name>[^/]+?)';
+  }).join('');
+  const match = relativePath.match(new RegExp(`^${pattern}$`));
+  if (!match) {
+    return null;
+  }
+  return path.join(root || baseDir, match.groups.dir || '.', `${match.groups.name}.feature`);
+}
+
+// Check whether a file name can be that of a generated page, for instance to leave the generated
+// pages out when looking for references
+function isOutputFileName(fileName, naming = DEFAULT_CONFIG) {
+  const { outputSuffix = DEFAULT_CONFIG.outputSuffix, outputTemplate = DEFAULT_CONFIG.outputTemplate } = naming;
+  if (!outputTemplate) {
+    return fileName.endsWith(outputSuffix);
+  }
+  const lastPart = outputTemplate.split('/').pop();
+  const pattern = lastPart.split(TEMPLATE_PLACEHOLDER)
+    .map((part, index) => index % 2 === 0 ? escapeRegExp(part) : '[^/]+')
+    .join('');
+  return new RegExp(`^${pattern}$`).test(path.basename(fileName));
+}
+
+export { toPosixPath, isInside, getOutputPath, getFeaturePath, isOutputFileName };
@@ -0,0 +1,402 @@
+// =============================================================
+// Feature2Markdown test results
+//
+// Reads test results from a Cucumber JSON report, a Cucumber messages
+// (NDJSON) stream or a JUnit XML report, so the result of every scenario can
+// be baked into the badges when the documentation is built outside of Backstage.
+//
+// Every report is turned into a list of results, one per executed scenario
+// (or example row of a Scenario Outline):
+//   { uri, featureName, scenarioName, line, status, duration, steps, source }
+// with status one of passed, failed, skipped, pending or undefined, the duration
+// in seconds (when reported), the results of the steps and the source file the
+// result was read from. Each step is { line, status, duration, error } with the
+// line of the step in the feature file and the error message of a failed step.
+// JUnit XML has no step results, so its steps are always empty.
+// =============================================================
+import fs from 'fs';
+
+// Statuses from worst to best; the worst status of the parts is the status of the whole
+const STATUSES = ['failed', 'undefined', 'pending', 'skipped', 'passed'];
+
+// Cucumber statuses that are reported as one of the statuses above
+const STATUS_ALIASES = {
+  ambiguous: 'failed',
+  unknown: 'skipped',
+};
+
+// The predefined XML entities; numeric character references are decoded as well
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+// Normalise a feature, rule or scenario name for the data attributes of a badge.
+// The Bdd Badges addon applies the same rule to the names in the test results to match them:
+// Unicode NFC normalisation, leading and trailing whitespace removed and every run of
+// whitespace replaced by a single space. Anything else, including outline placeholders
+// such as <Email>, is kept exactly as written in the feature file.
+function normalizeName(name) {
+  return String(name).normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+// Convert a status as reported by Cucumber (PASSED, passed, ambiguous, ...) to one of STATUSES
+function normalizeStatus(status) {
+  const lowerCase = String(status).toLowerCase();
+  const normalized = STATUS_ALIASES[lowerCase] || lowerCase;
+  return STATUSES.includes(normalized) ? normalized : 'undefined';
+}
+
+// Derive the status of a feature, rule or scenario from the statuses of its parts.
+// Parts without a status are ignored; returns undefined when none of them has one.
+function aggregateResults(statuses) {
+  const known = statuses.filter(Boolean);
+  if (known.length === 0) {
+    return undefined;
+  }
+  return STATUSES.find(status => known.includes(status));
+}
+
+// Combine the results of the parts of a feature, rule or scenario into { status, duration }:
+// the worst status and the total duration. Returns undefined when none of the parts has a result.
+function combineResults(parts) {
+  const known = parts.filter(Boolean);
+  const status = aggregateResults(known.map(part => part.status));
+  if (!status) {
+    return undefined;
+  }
+  const durations = known.map(part => part.duration).filter(duration => duration !== undefined);
+  const duration = durations.length > 0 ? durations.reduce((total, part) => total + part, 0) : undefined;
+  return { status, duration };
+}
+
+// Ignore case, whitespace and punctuation, for test names generated from the scenario name
+function looseName(name) {
+  return normalizeName(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Read the results of a Cucumber JSON report: an array of features with their elements
+function parseCucumberJson(report) {
+  const results = [];
+  for (const feature of report) {
+    // Older formatters report the background as a separate element before every scenario
+    let backgroundSteps = [];
+    for (const element of feature.elements || []) {
+      // Durations are reported in nanoseconds; hooks have no line
+      const steps = [...(element.before || []), ...(element.steps || []), ...(element.after || [])]
+        .map(step => step.result
+          ? {
+            line: step.line,
+            status: normalizeStatus(step.result.status),
+            duration: step.result.duration === undefined ? undefined : step.result.duration / 1e9,
+            error: step.result.error_message,
+          }
+          : undefined);
+      if (element.type === 'background') {
+        backgroundSteps = steps;
+        continue;
+      }
+
+      const allSteps = [...backgroundSteps, ...steps];
+      const combined = combineResults(allSteps);
+      results.push({
+        uri: feature.uri,
+        featureName: feature.name,
+        scenarioName: element.name,
+        line: element.line,
+        status: combined ? combined.status : 'undefined',
+        duration: combined ? combined.duration : undefined,
+        steps: allSteps.filter(step => step && step.line !== undefined),
+      });
+      backgroundSteps = [];
+    }
+  }
+  return results;
+}
+
+// Record the line of every scenario, step and example row of a Gherkin document by AST node id
+function collectLines(gherkinDocument, lines) {
+  const children = gherkinDocument.feature ? [...gherkinDocument.feature.children] : [];
+  while (children.length > 0) {
+    const child = children.shift();
+    if (child.rule) {
+      children.push(...child.rule.children);
+    }
+    const stepContainer = child.background || child.scenario;
+    if (stepContainer) {
+      for (const step of stepContainer.steps) {
+        lines.set(step.id, step.location.line);
+      }
+    }
+    if (child.scenario) {
+      lines.set(child.scenario.id, child.scenario.location.line);
+      for (const examples of child.scenario.examples) {
+        for (const row of examples.tableBody) {
+          lines.set(row.id, row.location.line);
+        }
+      }
+    }
+  }
+}
+
+// Read the results of a Cucumber messages stream, one JSON envelope per line
+function parseMessages(text) {
+  const featureNames = new Map();
+  const lines = new Map();
+  const pickles = new Map();
+  const pickleStepNodes = new Map();
+  const testCases = new Map();
+  const testStepPickleSteps = new Map();
+  const attempts = new Map();
+
+  for (const line of text.split('\n')) {
+    if (line.trim() === '') {
+      continue;
+    }
+    const envelope = JSON.parse(line);
+    if (envelope.gherkinDocument) {
+      const { uri, feature } = envelope.gherkinDocument;
+      featureNames.set(uri, feature ? feature.name : '');
+      collectLines(envelope.gherkinDocument, lines);
+    } else if (envelope.pickle) {
+      pickles.set(envelope.pickle.id, envelope.pickle);
+      for (const step of envelope.pickle.steps || []) {
+        pickleStepNodes.set(step.id, step.astNodeIds[0]);
+      }
+    } else if (envelope.testCase) {
+      testCases.set(envelope.testCase.id, envelope.testCase);
+      for (const testStep of envelope.testCase.testSteps || []) {
+        testStepPickleSteps.set(testStep.id, testStep.pickleStepId);
+      }
+    } else if (envelope.testCaseStarted) {
+      const { id, testCaseId } = envelope.testCaseStarted;
+      attempts.set(id, { testCaseId, steps: [], retried: false });
+    } else if (envelope.testStepFinished) {
+      const attempt = attempts.get(envelope.testStepFinished.testCaseStartedId);
+      if (attempt) {
+        const { testStepId, testStepResult } = envelope.testStepFinished;
+        const { status, duration, message, exception } = testStepResult;
+        // Hooks have no pickle step, and so no line
+        const pickleStepId = testStepPickleSteps.get(testStepId);
+        attempt.steps.push({
+          line: pickleStepId ? lines.get(pickleStepNodes.get(pickleStepId)) : undefined,
+          status: normalizeStatus(status),
+          duration: duration ? duration.seconds + duration.nanos / 1e9 : undefined,
+          error: message || (exception ? exception.stackTrace || exception.message : undefined),
+        });
+      }
+    } else if (envelope.testCaseFinished) {
+      const attempt = attempts.get(envelope.testCaseFinished.testCaseStartedId);
+      if (attempt) {
+        attempt.retried = Boolean(envelope.testCaseFinished.willBeRetried);
+      }
+    }
+  }
+
+  const results = [];
+  for (const attempt of attempts.values()) {
+    // Only the last attempt of a retried scenario counts
+    if (attempt.retried) {
+      continue;
+    }
+    const testCase = testCases.get(attempt.testCaseId);
+    const pickle = testCase && pickles.get(testCase.pickleId);
+    if (!pickle) {
+      continue;
+    }
+    const combined = combineResults(attempt.steps);
+    results.push({
+      uri: pickle.uri,
+      featureName: featureNames.get(pickle.uri) || '',
+      scenarioName: pickle.name,
+      // The last AST node of a pickle is the example row for outlines, the scenario otherwise
+      line: lines.get(pickle.astNodeIds[pickle.astNodeIds.length - 1]),
+      status: combined ? combined.status : 'undefined',
+      duration: combined ? combined.duration : undefined,
+      steps: attempt.steps.filter(step => step.line !== undefined),
+    });
+  }
+  return results;
+}
+
+// Decode the entities in an XML attribute value
+function decodeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+    if (hex) {
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    if (decimal) {
+      return String.fromCodePoint(parseInt(decimal, 10));
+    }
+    return XML_ENTITIES[name] || match;
+  });
+}
+
+// Read the attributes of an XML start tag into an object
+function parseXmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXml(doubleQuoted === undefined ? singleQuoted : doubleQuoted);
+  }
+  return attributes;
+}
+
+// Extract a name with a regular expression: its first capture group, or the whole match when it
+// has none. The name is used as is when there is no pattern or it does not match.
+function extractName(text, pattern) {
+  const match = pattern ? text.match(new RegExp(pattern, 'u')) : null;
+  if (!match) {
+    return text;
+  }
+  return match.length > 1 && match[1] !== undefined ? match[1] : match[0];
+}
+
+// Read the results of a JUnit XML report. Test runners name the testcases differently, so how the
+// feature and scenario names are found is configurable, see the junit option in config.js:
+//   featureName      'classname' of the testcase or 'testsuite', the name of the enclosing testsuite
+//   featurePattern   regular expression that extracts the feature name from it
+//   scenarioPattern  regular expression that extracts the scenario name from the testcase name
+//   looseNames       ignore case, whitespace and punctuation when matching the names
+// Only a file attribute that points to a .feature file is used to match on location.
+function parseJunitXml(text, options = {}) {
+  const { featureName: featureSource = 'classname', featurePattern = '', scenarioPattern = '', looseNames = false } = options;
+  const xml = text.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+  const suites = [];
+  const results = [];
+  let testcase = null;
+
+  const finishTestcase = () => {
+    const { attributes, suite, status } = testcase;
+    const file = attributes.file && attributes.file.endsWith('.feature') ? attributes.file : undefined;
+    const featureText = (featureSource === 'testsuite' ? suite.name : attributes.classname) || '';
+    results.push({
+      uri: file,
+      featureName: extractName(featureText, featurePattern),
+      scenarioName: extractName(attributes.name || '', scenarioPattern),
+      line: file && attributes.line ? Number(attributes.line) : undefined,
+      status,
+      duration: attributes.time ? Number(attributes.time) : undefined,
+      steps: [],
+      looseNames,
+    });
+    testcase = null;
+  };
+
+  for (const [, closing, tag, attributeText, selfClosing] of xml.matchAll(/<(\/?)(testsuite|testcase|failure|error|skipped)\b([^>]*?)(\/?)>/g)) {
+    if (tag === 'testsuite') {
+      if (closing) {
+        suites.pop();
+      } else if (!selfClosing) {
+        suites.push(parseXmlAttributes(attributeText));
+      }
+    } else if (tag === 'testcase') {
+      if (closing) {
+        if (testcase) {
+          finishTestcase();
+        }
+        continue;
+      }
+      testcase = { attributes: parseXmlAttributes(attributeText), suite: suites[suites.length - 1] || {}, status: 'passed' };
+      if (selfClosing) {
+        finishTestcase();
+      }
+    } else if (testcase && !closing) {
+      // A failure or error outweighs a skip
+      testcase.status = tag === 'skipped' && testcase.status !== 'failed' ? 'skipped' : 'failed';
+    }
+  }
+  return results;
+}
+
+// Read a results file, detecting whether it is a Cucumber JSON report, a messages stream or a
+// JUnit XML report. The junit options configure how JUnit testcases are matched to scenarios.
+function readResults(filePath, junit = {}) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const start = text.trimStart();
+    let results;
+    if (start.startsWith('<')) {
+      results = parseJunitXml(text, junit);
+    } else if (start.startsWith('[')) {
+      results = parseCucumberJson(JSON.parse(text));
+    } else {
+      results = parseMessages(text);
+    }
+    return results.map(result => ({ ...result, source: filePath }));
+  } catch (error) {
+    throw new Error(`Cannot read test results from ${filePath}: ${error.message}`);
+  }
+}
+
+// Check whether two feature file paths refer to the same file. The reports and the
+// documentation build may run from different directories, so one may be a suffix of the other.
+function isSameFeatureFile(a, b) {
+  const left = a.replace(/\\/g, '/').replace(/^\.\//, '');
+  const right = b.replace(/\\/g, '/').replace(/^\.\//, '');
+  return left === right || left.endsWith(`/${right}`) || right.endsWith(`/${left}`);
+}
+
+// The key to look up a result by name; results with looseNames set are compared loosely
+function getNameKey(featureName, scenarioName, loose) {
+  const normalize = loose ? looseName : normalizeName;
+  return `${normalize(featureName)}\0${normalize(scenarioName)}`;
+}
+
+// Build an index to look up the result of a scenario or example row as
+// { status, duration, steps }, with steps the step results of every matching result as
+// { scenarioName, line, status, duration, error }. A result matches on the feature file path and line when both are known, otherwise on the
+// feature and scenario names. When several results match, for instance from multiple reports,
+// the worst status wins. unmatched() lists the results that were never looked up.
+function createResultsIndex(results) {
+  const byName = new Map();
+  for (const result of results) {
+    const key = getNameKey(result.featureName, result.scenarioName, result.looseNames);
+    if (!byName.has(key)) {
+      byName.set(key, []);
+    }
+    byName.get(key).push(result);
+  }
+  const matched = new Set();
+
+  const found = (matches) => {
+    matches.forEach(result => matched.add(result));
+    const combined = combineResults(matches);
+    if (!combined) {
+      return undefined;
+    }
+    const steps = matches.flatMap(result => (result.steps || []).map(step => ({ scenarioName: result.scenarioName, ...step })));
+    return { ...combined, steps };
+  };
+
+  return {
+    results,
+    lookup({ featureFile, featureName, scenarioName, line }) {
+      if (featureFile && line) {
+        const byLocation = results.filter(result => result.uri && result.line === line && isSameFeatureFile(result.uri, featureFile));
+        if (byLocation.length > 0) {
+          return found(byLocation);
+        }
+      }
+      return found([
+        ...(byName.get(getNameKey(featureName, scenarioName, false)) || []).filter(result => !result.looseNames),
+        ...(byName.get(getNameKey(featureName, scenarioName, true)) || []).filter(result => result.looseNames),
+      ]);
+    },
+    unmatched() {
+      return results.filter(result => !matched.has(result));
+    },
+  };
+}
+
+// Read one or more results files into a single index, see readResults() for the junit options
+function loadResults(filePaths, junit = {}) {
+  return createResultsIndex(filePaths.flatMap(filePath => readResults(filePath, junit)));
+}
+
+export {
+  STATUSES, normalizeName, normalizeStatus, aggregateResults, combineResults, parseCucumberJson,
+  parseMessages, parseJunitXml, readResults, createResultsIndex, loadResults
+};
@@ -0,0 +1,114 @@
+// =============================================================
+// Feature2Markdown watch mode
+//
+// Watches the directories below the feature roots for changes, so the
+// Markdown can be regenerated while writing specs, for instance next to
+// `mkdocs serve`. Every directory gets a watcher of its own, because
+// recursive watching is not available on Linux in Node 18; directories
+// that are added later are watched as well.
+//
+// The changes are reported in batches: once no more changes come in for
+// a short while, the paths that changed since the previous batch are
+// passed on together. A path is reported whether it was added, changed
+// or removed; check whether it still exists to tell them apart.
+// =============================================================
+import fs from 'fs';
+import path from 'path';
+
+// Milliseconds without changes before a batch of changes is reported. Editors often write a
+// file in several steps, and a checkout touches many files at once.
+const WATCH_DELAY = 200;
+
+// Watch the directories below the roots and call onChange(changedPaths) with the absolute paths
+// that changed. Directories for which skipDirectory(dirPath) returns true are not watched.
+// Returns { close() } to stop watching.
+function watchDirectories(roots, onChange, { delay = WATCH_DELAY, skipDirectory = () => false } = {}) {
+  const watchers = new Map();
+  let changedPaths = new Set();
+  let timer = null;
+
+  const report = () => {
+    timer = null;
+    const batch = changedPaths;
+    changedPaths = new Set();
+    onChange([...batch].sort());
+  };
+
+  const addChange = (changedPath) => {
+    changedPaths.add(changedPath);
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(report, delay);
+  };
+
+  const unwatch = (dir) => {
+    for (const [watchedDir, watcher] of watchers) {
+      if (watchedDir === dir || watchedDir.startsWith(`${dir}${path.sep}`)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+  };
+
+  // Watch a directory and the directories below it, reporting the files in directories that
+  // are added while watching as changes
+  const watch = (dir, reportFiles) => {
+    if (watchers.has(dir) || skipDirectory(dir)) {
+      return;
+    }
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+      const watcher = fs.watch(dir, (eventType, fileName) => {
+        if (!fileName) {
+          return;
+        }
+        const changedPath = path.join(dir, fileName.toString());
+        let stat = null;
+        try {
+          stat = fs.statSync(changedPath);
+        } catch {
+          // Removed, reported below
+        }
+        if (stat && stat.isDirectory()) {
+          watch(changedPath, true);
+        } else {
+          if (!stat) {
+            unwatch(changedPath);
+          }
+          addChange(changedPath);
+        }
+      });
+      // The directory itself was removed; its parent reports that
+      watcher.on('error', () => unwatch(dir));
+      watchers.set(dir, watcher);
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        watch(entryPath, reportFiles);
+      } else if (reportFiles) {
+        addChange(entryPath);
+      }
+    }
+  };
+
+  roots.forEach(root => watch(path.resolve(root), false));
+
+  return {
+    close() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    },
+  };
+}
+
+export { WATCH_DELAY, watchDirectories };